@@ -16,6 +16,7 @@ import gwprRouter from './routes/gwpr.routes.js';
 import sarRouter from './routes/sar.routes.js';
 import climateRouter from './routes/climate.routes.js';
 import mppRouter from './routes/mpp.routes.js';
+import modelRunRouter from './routes/modelRun.routes.js';
 
 const app = express();
 
@@ -63,6 +64,7 @@ app.use('/api/v1/gwpr', gwprRouter);
 app.use('/api/v1/sar', sarRouter);
 app.use('/api/v1/climate', climateRouter);
 app.use('/api/v1/mpp', mppRouter);
+app.use('/api/v1/model-runs', modelRunRouter);
 
 // Add a catch-all error handler
 app.use((err, req, res, next) => {
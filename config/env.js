@@ -7,4 +7,4 @@ if (!process.env.NODE_ENV) {
 
 config({path: `.env.${process.env.NODE_ENV}.local`});
 
-export const {PORT, NODE_ENV, DB_URI, JWT_SECRET, JWT_EXPIRES_IN} = process.env;
\ No newline at end of file
+export const {PORT, NODE_ENV, DB_URI, JWT_SECRET, JWT_EXPIRES_IN, APP_VERSION} = process.env;
\ No newline at end of file
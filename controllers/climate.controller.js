@@ -1,4 +1,27 @@
+import mongoose from 'mongoose';
 import Climate from '../models/climate.model.js';
+import {
+  loadClimateSeries,
+  parseClimateVariables,
+  monthIndex,
+  CLIMATE_VARIABLES,
+  CLIMATE_DEPENDENT_VARIABLE
+} from '../utils/climateData.js';
+import { fitClimateRegression, SEASONALITY_TYPES, MAX_CLIMATE_LAG } from '../utils/climateRegression.js';
+import { recordModelRun } from '../utils/modelRun.js';
+import { fitOLS } from '../utils/spatialRegression.js';
+import { fitHoltWinters, forecastHoltWinters } from '../utils/forecast.js';
+import { normalCdf, normalQuantile } from '../utils/statistics.js';
+import { evaluateProvinceAnomalies, ANOMALY_VARIABLES, DEFAULT_Z_THRESHOLD } from '../utils/climateAnomaly.js';
+import { computeSPI, SPI_SCALES } from '../utils/spi.js';
+import {
+  aggregateClimate,
+  computeClimateNormals,
+  AGGREGATION_OPERATORS,
+  AGGREGATION_PERIODS,
+  SEASONS
+} from '../utils/climateAggregation.js';
+import { laggedCorrelations, MAX_CORRELATION_LAG } from '../utils/climateCorrelation.js';
 
 // Get all Climate records
 export const getAllClimate = async (req, res) => {
@@ -299,3 +322,733 @@ export const streamBulkCreateClimate = async (req, res) => {
     });
   }
 };
+
+// Parse the provinceId query (one id or a comma separated list); null means all provinces
+const parseProvinceIds = (value) => {
+  if (value === undefined || value === '') return { provinceIds: null, invalid: [] };
+  const ids = String(value).split(',').map(id => id.trim()).filter(Boolean);
+  return {
+    provinceIds: ids,
+    invalid: ids.filter(id => !mongoose.Types.ObjectId.isValid(id))
+  };
+};
+
+// Regress monthly produksi_padi on climate variables, with optional lags and month-of-year dummies,
+// for one province or a panel of provinces with province fixed effects. save=true records a model run.
+export const getClimateRegression = async (req, res) => {
+  try {
+    const { provinceId, tahun_mulai, tahun_selesai, lags = '0', seasonality = 'none', save } = req.query;
+    const alpha = req.query.alpha !== undefined ? Number(req.query.alpha) : 0.05;
+    const { provinceIds, invalid: invalidIds } = parseProvinceIds(provinceId);
+    const { variables, invalid: invalidVariables } = parseClimateVariables(req.query.variables);
+    const lagList = [...new Set(String(lags).split(',').map(lag => Number(lag.trim())))].sort((a, b) => a - b);
+    const tahunMulai = tahun_mulai !== undefined ? parseInt(tahun_mulai, 10) : undefined;
+    const tahunSelesai = tahun_selesai !== undefined ? parseInt(tahun_selesai, 10) : undefined;
+
+    if (invalidIds.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid province ID format: ${invalidIds.join(', ')}`
+      });
+    }
+
+    if (invalidVariables.length > 0 || variables.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: invalidVariables.length > 0
+          ? `Invalid variables: ${invalidVariables.join(', ')}`
+          : 'At least one climate variable is required'
+      });
+    }
+
+    if (!lagList.every(lag => Number.isInteger(lag) && lag >= 0 && lag <= MAX_CLIMATE_LAG)) {
+      return res.status(400).json({
+        success: false,
+        message: `lags must be a comma separated list of integers between 0 and ${MAX_CLIMATE_LAG}`
+      });
+    }
+
+    if (!SEASONALITY_TYPES.includes(seasonality)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid seasonality. Supported values: ${SEASONALITY_TYPES.join(', ')}`
+      });
+    }
+
+    if ((tahunMulai !== undefined && isNaN(tahunMulai)) || (tahunSelesai !== undefined && isNaN(tahunSelesai)) ||
+      (tahunMulai !== undefined && tahunSelesai !== undefined && tahunMulai > tahunSelesai)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid period. tahun_mulai must not be after tahun_selesai'
+      });
+    }
+
+    if (!(alpha > 0 && alpha < 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'alpha must be between 0 and 1'
+      });
+    }
+
+    const { provinces, skipped } = await loadClimateSeries({ provinceIds, tahunMulai, tahunSelesai });
+
+    if (provinces.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No complete Climate records found for the requested provinces and period',
+        skipped
+      });
+    }
+
+    const result = fitClimateRegression(provinces, { variables, lags: lagList, seasonality, alpha });
+    const type = provinces.length > 1 ? 'panel' : 'province';
+
+    let run = null;
+    if (save === 'true') {
+      run = await recordModelRun({
+        modelType: 'regression',
+        method: `climate-${type}`,
+        inputFilter: {
+          provinceIds: provinces.map(province => province.provinceId),
+          tahun_mulai: tahunMulai,
+          tahun_selesai: tahunSelesai
+        },
+        parameters: { variables, lags: lagList, seasonality, alpha },
+        metrics: result.fit,
+        results: result.coefficients
+      }, req.user);
+    }
+
+    res.status(200).json({
+      success: true,
+      modelRunId: run?._id ?? null,
+      data: {
+        type,
+        dependentVariable: CLIMATE_DEPENDENT_VARIABLE,
+        provinces: provinces.map(province => ({ provinceId: province.provinceId, provinsi: province.name })),
+        variables,
+        lags: lagList,
+        seasonality,
+        fixedEffects: type === 'panel',
+        ...result
+      },
+      skipped
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to fit climate regression',
+      error: error.message
+    });
+  }
+};
+
+// Forecast monthly produksi_padi 1-12 months ahead with additive Holt-Winters and prediction intervals.
+// Optional climate regressors (at a lag in months) are fitted by OLS and Holt-Winters models the remainder;
+// regressor months that are not observed yet use the province's monthly climatology.
+// With regressors the intervals add the OLS coefficient variance and, for imputed regressor months, the
+// variance of the regressors around their climatology to the Holt-Winters variance.
+// Each forecast is compared with the normal production for its calendar month to flag likely shortfalls.
+export const getClimateForecast = async (req, res) => {
+  try {
+    const { provinceId } = req.params;
+    const horizon = req.query.horizon !== undefined ? Number(req.query.horizon) : 12;
+    const confidence = req.query.confidence !== undefined ? Number(req.query.confidence) : 0.95;
+    const lag = req.query.lag !== undefined ? Number(req.query.lag) : 0;
+    const shortfallThreshold = req.query.shortfall_threshold !== undefined ? Number(req.query.shortfall_threshold) : 0.1;
+    const { variables: regressors, invalid } = req.query.regressors
+      ? parseClimateVariables(req.query.regressors)
+      : { variables: [], invalid: [] };
+
+    if (!mongoose.Types.ObjectId.isValid(provinceId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid province ID format'
+      });
+    }
+
+    if (!Number.isInteger(horizon) || horizon < 1 || horizon > 12) {
+      return res.status(400).json({
+        success: false,
+        message: 'horizon must be an integer between 1 and 12'
+      });
+    }
+
+    if (!(confidence >= 0.5 && confidence < 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'confidence must be at least 0.5 and below 1'
+      });
+    }
+
+    if (!Number.isInteger(lag) || lag < 0 || lag > MAX_CLIMATE_LAG) {
+      return res.status(400).json({
+        success: false,
+        message: `lag must be an integer between 0 and ${MAX_CLIMATE_LAG}`
+      });
+    }
+
+    if (!(shortfallThreshold >= 0 && shortfallThreshold < 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'shortfall_threshold must be at least 0 and below 1'
+      });
+    }
+
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid regressors: ${invalid.join(', ')}`
+      });
+    }
+
+    const { provinces, skipped } = await loadClimateSeries({ provinceIds: [provinceId] });
+    const province = provinces[0];
+
+    if (!province) {
+      return res.status(404).json({
+        success: false,
+        message: 'No complete Climate records found for this province',
+        skipped
+      });
+    }
+
+    // Holt-Winters needs a gap-free series, so use the most recent run of consecutive months
+    const { records } = province;
+    let start = records.length - 1;
+    while (start > 0 && monthIndex(records[start - 1].tahun, records[start - 1].bulan) ===
+      monthIndex(records[start].tahun, records[start].bulan) - 1) {
+      start--;
+    }
+    const series = records.slice(start);
+
+    // Monthly climatology of production and the regressors over all records
+    const normals = Array.from({ length: 12 }, (_, i) => {
+      const month = records.filter(record => record.bulan === i + 1);
+      return {
+        y: month.length > 0 ? month.reduce((sum, record) => sum + record.y, 0) / month.length : null,
+        x: CLIMATE_VARIABLES.map((_, j) => (month.length > 0
+          ? month.reduce((sum, record) => sum + record.x[j], 0) / month.length
+          : null))
+      };
+    });
+
+    const byMonth = new Map(records.map(record => [monthIndex(record.tahun, record.bulan), record]));
+    const columns = regressors.map(name => CLIMATE_VARIABLES.indexOf(name));
+    const regressorValues = (index) => {
+      const source = index - lag;
+      const observed = byMonth.get(source);
+      return columns.map(j => (observed ? observed.x[j] : normals[((source % 12) + 12) % 12].x[j]));
+    };
+
+    // Covariance of the regressors within each calendar month, the spread of an imputed value
+    const climatologyCovariance = Array.from({ length: 12 }, (_, i) => {
+      const month = records.filter(record => record.bulan === i + 1);
+      return columns.map(a => columns.map(b => (month.length > 1
+        ? month.reduce((sum, record) => sum + (record.x[a] - normals[i].x[a]) * (record.x[b] - normals[i].x[b]), 0) /
+          (month.length - 1)
+        : 0)));
+    });
+
+    let regression = null;
+    let adjusted = series.map(record => record.y);
+    let beta = [];
+    let regressorMeans = [];
+    let coefficientCovariance = [];
+
+    if (regressors.length > 0) {
+      const X = series.map(record => [1, ...regressorValues(monthIndex(record.tahun, record.bulan))]);
+      const ols = fitOLS(X, adjusted);
+      beta = ols.coefficients.slice(1).map(coefficient => coefficient.estimate);
+      regressorMeans = columns.map((_, j) => X.reduce((sum, row) => sum + row[j + 1], 0) / X.length);
+      // Slope covariance only: the intercept is absorbed by the Holt-Winters level
+      coefficientCovariance = ols.XtXinv.slice(1).map(row => row.slice(1).map(value => ols.sigma2 * value));
+      adjusted = series.map((record, i) => record.y - X[i].slice(1).reduce((sum, value, j) => sum + beta[j] * value, 0));
+      regression = {
+        lag,
+        coefficients: ['intercept', ...regressors].map((term, i) => ({ term, ...ols.coefficients[i] })),
+        rSquared: ols.rSquared
+      };
+    }
+
+    const model = fitHoltWinters(adjusted);
+    const last = series[series.length - 1];
+    const lastIndex = monthIndex(last.tahun, last.bulan);
+    const z = normalQuantile(1 - (1 - confidence) / 2);
+    const quadraticForm = (v, A) => v.reduce((sum, a, p) => sum + v.reduce((inner, b, q) => inner + a * A[p][q] * b, 0), 0);
+
+    const forecasts = forecastHoltWinters(model, horizon, confidence).map(step => {
+      const index = lastIndex + step.step;
+      const bulan = (index % 12) + 1;
+      const values = regressorValues(index);
+      const climateEffect = values.reduce((sum, value, j) => sum + beta[j] * value, 0);
+      const forecast = step.forecast + climateEffect;
+      const normal = normals[bulan - 1].y;
+
+      const regressorsImputed = regressors.length > 0 && !byMonth.has(index - lag);
+      const coefficientVariance = regressors.length > 0
+        ? quadraticForm(values.map((value, j) => value - regressorMeans[j]), coefficientCovariance)
+        : 0;
+      const imputationVariance = regressorsImputed
+        ? quadraticForm(beta, climatologyCovariance[(((index - lag) % 12) + 12) % 12])
+        : 0;
+      const standardError = Math.sqrt(step.standardError ** 2 + coefficientVariance + imputationVariance);
+
+      return {
+        tahun: Math.floor(index / 12),
+        bulan,
+        step: step.step,
+        forecast,
+        standardError,
+        // Production cannot be negative
+        lower: Math.max(0, forecast - z * standardError),
+        upper: forecast + z * standardError,
+        regressorsImputed,
+        normal,
+        changeFromNormal: normal ? (forecast - normal) / normal : null,
+        probabilityBelowNormal: normal !== null && standardError > 0
+          ? normalCdf((normal - forecast) / standardError)
+          : null,
+        shortfallWarning: normal !== null && forecast < normal * (1 - shortfallThreshold)
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        provinceId: province.provinceId,
+        provinsi: province.name,
+        dependentVariable: CLIMATE_DEPENDENT_VARIABLE,
+        method: regression ? 'holt-winters-regression' : 'holt-winters',
+        series: {
+          start: { tahun: series[0].tahun, bulan: series[0].bulan },
+          end: { tahun: last.tahun, bulan: last.bulan },
+          observations: series.length,
+          excludedBeforeGap: start
+        },
+        smoothing: {
+          alpha: model.alpha,
+          beta: model.beta,
+          gamma: model.gamma,
+          sigma: Math.sqrt(model.sigma2)
+        },
+        regression,
+        confidence,
+        shortfallThreshold,
+        forecasts,
+        shortfallMonths: forecasts.filter(forecast => forecast.shortfallWarning).length
+      },
+      skipped
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to forecast rice production',
+      error: error.message
+    });
+  }
+};
+
+// Flag months whose rainfall, temperature or soil moisture deviate from the province's monthly
+// climatology by at least z standard deviations, for one or all provinces and optionally one year
+export const getClimateAnomalies = async (req, res) => {
+  try {
+    const { provinceId, tahun, bulan, baseline_mulai, baseline_selesai, include_climatology } = req.query;
+    const threshold = req.query.z !== undefined ? Number(req.query.z) : DEFAULT_Z_THRESHOLD;
+    const { provinceIds, invalid: invalidIds } = parseProvinceIds(provinceId);
+    const { variables, invalid: invalidVariables } = req.query.variables
+      ? parseClimateVariables(req.query.variables)
+      : { variables: ANOMALY_VARIABLES, invalid: [] };
+    const tahunInt = tahun !== undefined ? parseInt(tahun, 10) : undefined;
+    const bulanInt = bulan !== undefined ? parseInt(bulan, 10) : undefined;
+    const baselineStart = baseline_mulai !== undefined ? parseInt(baseline_mulai, 10) : undefined;
+    const baselineEnd = baseline_selesai !== undefined ? parseInt(baseline_selesai, 10) : undefined;
+
+    if (invalidIds.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid province ID format: ${invalidIds.join(', ')}`
+      });
+    }
+
+    const unsupported = variables.filter(name => !ANOMALY_VARIABLES.includes(name));
+    if (invalidVariables.length > 0 || unsupported.length > 0 || variables.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid variables. Supported variables: ${ANOMALY_VARIABLES.join(', ')}`
+      });
+    }
+
+    if (!(threshold > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'z must be a positive number'
+      });
+    }
+
+    if ((tahunInt !== undefined && isNaN(tahunInt)) || (bulanInt !== undefined && (isNaN(bulanInt) || bulanInt < 1 || bulanInt > 12))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tahun or bulan. bulan must be between 1 and 12'
+      });
+    }
+
+    if ((baselineStart !== undefined && isNaN(baselineStart)) || (baselineEnd !== undefined && isNaN(baselineEnd)) ||
+      (baselineStart !== undefined && baselineEnd !== undefined && baselineStart > baselineEnd)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid baseline period. baseline_mulai must not be after baseline_selesai'
+      });
+    }
+
+    const { provinces, skipped } = await loadClimateSeries({ provinceIds });
+
+    const data = provinces.map(province => {
+      const { climatology, baselineYears, months } = evaluateProvinceAnomalies(province, {
+        variables,
+        threshold,
+        baselineStart,
+        baselineEnd,
+        tahun: tahunInt,
+        bulan: bulanInt
+      });
+      const flagged = months.filter(month => month.anomalies.length > 0);
+
+      return {
+        provinceId: province.provinceId,
+        provinsi: province.name,
+        baselineYears,
+        monthsEvaluated: months.length,
+        anomalousMonths: flagged.length,
+        countByVariable: Object.fromEntries(variables.map(variable => [
+          variable,
+          flagged.filter(month => month.anomalies.some(anomaly => anomaly.variable === variable)).length
+        ])),
+        anomalies: flagged.map(month => ({ tahun: month.tahun, bulan: month.bulan, anomalies: month.anomalies })),
+        ...(include_climatology === 'true' && {
+          climatology: climatology.map((normals, i) => ({ bulan: i + 1, ...normals }))
+        })
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      threshold,
+      variables,
+      filter: { tahun: tahunInt ?? null, bulan: bulanInt ?? null },
+      totalProvinces: data.length,
+      data,
+      skipped
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to detect climate anomalies',
+      error: error.message
+    });
+  }
+};
+
+// SPI-1/3/6 time series for a province from monthly curah_hujan. The gamma distributions are
+// fitted on the province's full record; tahun_mulai/tahun_selesai only limit the returned months.
+export const getClimateSPI = async (req, res) => {
+  try {
+    const { provinceId } = req.params;
+    const { tahun_mulai, tahun_selesai } = req.query;
+    const scales = req.query.scales
+      ? [...new Set(String(req.query.scales).split(',').map(scale => Number(scale.trim())))].sort((a, b) => a - b)
+      : SPI_SCALES;
+    const tahunMulai = tahun_mulai !== undefined ? parseInt(tahun_mulai, 10) : undefined;
+    const tahunSelesai = tahun_selesai !== undefined ? parseInt(tahun_selesai, 10) : undefined;
+
+    if (!mongoose.Types.ObjectId.isValid(provinceId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid province ID format'
+      });
+    }
+
+    if (!scales.every(scale => SPI_SCALES.includes(scale))) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid scales. Supported scales: ${SPI_SCALES.join(', ')}`
+      });
+    }
+
+    if ((tahunMulai !== undefined && isNaN(tahunMulai)) || (tahunSelesai !== undefined && isNaN(tahunSelesai)) ||
+      (tahunMulai !== undefined && tahunSelesai !== undefined && tahunMulai > tahunSelesai)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid period. tahun_mulai must not be after tahun_selesai'
+      });
+    }
+
+    const { provinces, skipped } = await loadClimateSeries({ provinceIds: [provinceId] });
+    const province = provinces[0];
+
+    if (!province) {
+      return res.status(404).json({
+        success: false,
+        message: 'No complete Climate records found for this province',
+        skipped
+      });
+    }
+
+    const inPeriod = (entry) => (tahunMulai === undefined || entry.tahun >= tahunMulai) &&
+      (tahunSelesai === undefined || entry.tahun <= tahunSelesai);
+
+    const series = {};
+    const latest = {};
+    scales.forEach(scale => {
+      const values = computeSPI(province.records, scale);
+      series[`spi${scale}`] = values.filter(inPeriod);
+      latest[`spi${scale}`] = [...values].reverse().find(entry => entry.spi !== null) || null;
+    });
+
+    const { records } = province;
+    res.status(200).json({
+      success: true,
+      data: {
+        provinceId: province.provinceId,
+        provinsi: province.name,
+        calibration: {
+          start: { tahun: records[0].tahun, bulan: records[0].bulan },
+          end: { tahun: records[records.length - 1].tahun, bulan: records[records.length - 1].bulan },
+          months: records.length
+        },
+        scales,
+        latest,
+        series
+      },
+      skipped
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to compute SPI',
+      error: error.message
+    });
+  }
+};
+
+// Parse an optional tahun_mulai/tahun_selesai pair; `error` is set when the pair is invalid
+const parseYearRange = (query) => {
+  const tahunMulai = query.tahun_mulai !== undefined ? parseInt(query.tahun_mulai, 10) : undefined;
+  const tahunSelesai = query.tahun_selesai !== undefined ? parseInt(query.tahun_selesai, 10) : undefined;
+  const error = (tahunMulai !== undefined && isNaN(tahunMulai)) || (tahunSelesai !== undefined && isNaN(tahunSelesai)) ||
+    (tahunMulai !== undefined && tahunSelesai !== undefined && tahunMulai > tahunSelesai);
+
+  return { tahunMulai, tahunSelesai, error };
+};
+
+// Annual or wet/dry season aggregates per province: rainfall and production summed, other variables
+// averaged. Rows are keyed by provinsi and tahun so they join with FoodSecurity and SupplyChain.
+export const getClimateAggregates = async (req, res) => {
+  try {
+    const { provinceId, period = 'annual', complete_only } = req.query;
+    const { provinceIds, invalid } = parseProvinceIds(provinceId);
+    const { tahunMulai, tahunSelesai, error: invalidRange } = parseYearRange(req.query);
+
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid province ID format: ${invalid.join(', ')}`
+      });
+    }
+
+    if (!AGGREGATION_PERIODS.includes(period)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid period. Supported values: ${AGGREGATION_PERIODS.join(', ')}`
+      });
+    }
+
+    if (invalidRange) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid period. tahun_mulai must not be after tahun_selesai'
+      });
+    }
+
+    // A wet season reported under tahun_mulai starts in October of the year before
+    const { provinces, skipped } = await loadClimateSeries({
+      provinceIds,
+      tahunMulai: tahunMulai !== undefined && period === 'season' ? tahunMulai - 1 : tahunMulai,
+      tahunSelesai
+    });
+
+    const data = provinces.flatMap(province => aggregateClimate(province.records, period)
+      .filter(entry => (tahunMulai === undefined || entry.tahun >= tahunMulai) &&
+        (tahunSelesai === undefined || entry.tahun <= tahunSelesai) &&
+        (complete_only !== 'true' || entry.complete))
+      .map(entry => ({
+        provinceId: province.provinceId,
+        provinsi: province.name,
+        ...entry
+      })));
+
+    res.status(200).json({
+      success: true,
+      period,
+      operators: AGGREGATION_OPERATORS,
+      ...(period === 'season' && { seasons: SEASONS }),
+      total: data.length,
+      data,
+      skipped
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to aggregate Climate records',
+      error: error.message
+    });
+  }
+};
+
+// Multi-year climate normals per province over tahun_mulai..tahun_selesai (default all data):
+// mean annual and seasonal aggregates over complete years, and monthly means
+export const getClimateNormals = async (req, res) => {
+  try {
+    const { provinceIds, invalid } = parseProvinceIds(req.query.provinceId);
+    const { tahunMulai, tahunSelesai, error: invalidRange } = parseYearRange(req.query);
+
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid province ID format: ${invalid.join(', ')}`
+      });
+    }
+
+    if (invalidRange) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid period. tahun_mulai must not be after tahun_selesai'
+      });
+    }
+
+    const { provinces, skipped } = await loadClimateSeries({ provinceIds, tahunMulai, tahunSelesai });
+
+    const data = provinces.map(province => {
+      const normals = computeClimateNormals(province.records);
+      return {
+        provinceId: province.provinceId,
+        provinsi: province.name,
+        period: {
+          tahun_mulai: province.records[0].tahun,
+          tahun_selesai: province.records[province.records.length - 1].tahun,
+          completeYears: normals.years
+        },
+        annual: normals.annual,
+        wet: normals.wet,
+        dry: normals.dry,
+        monthly: normals.monthly.map((values, i) => ({ bulan: i + 1, values }))
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      operators: AGGREGATION_OPERATORS,
+      seasons: SEASONS,
+      totalProvinces: data.length,
+      data,
+      skipped
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to compute climate normals',
+      error: error.message
+    });
+  }
+};
+
+// Correlations between each climate variable at lags 0-6 months and produksi_padi, per province and
+// pooled over the requested provinces (national when no provinceId is given), with t-test p-values.
+// Series are deseasonalized unless deseasonalize=false, since the shared seasonal cycle would otherwise
+// make nearly every lag significant; p-values use an autocorrelation-adjusted effective sample size.
+export const getClimateLaggedCorrelation = async (req, res) => {
+  try {
+    const { provinceId } = req.query;
+    const deseasonalize = req.query.deseasonalize !== 'false';
+    const maxLag = req.query.max_lag !== undefined ? Number(req.query.max_lag) : MAX_CORRELATION_LAG;
+    const alpha = req.query.alpha !== undefined ? Number(req.query.alpha) : 0.05;
+    const { provinceIds, invalid: invalidIds } = parseProvinceIds(provinceId);
+    const { variables, invalid: invalidVariables } = parseClimateVariables(req.query.variables);
+    const { tahunMulai, tahunSelesai, error: invalidRange } = parseYearRange(req.query);
+
+    if (invalidIds.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid province ID format: ${invalidIds.join(', ')}`
+      });
+    }
+
+    if (invalidVariables.length > 0 || variables.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: invalidVariables.length > 0
+          ? `Invalid variables: ${invalidVariables.join(', ')}`
+          : 'At least one climate variable is required'
+      });
+    }
+
+    if (!Number.isInteger(maxLag) || maxLag < 0 || maxLag > MAX_CORRELATION_LAG) {
+      return res.status(400).json({
+        success: false,
+        message: `max_lag must be an integer between 0 and ${MAX_CORRELATION_LAG}`
+      });
+    }
+
+    if (!(alpha > 0 && alpha < 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'alpha must be between 0 and 1'
+      });
+    }
+
+    if (invalidRange) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid period. tahun_mulai must not be after tahun_selesai'
+      });
+    }
+
+    const { provinces, skipped } = await loadClimateSeries({ provinceIds, tahunMulai, tahunSelesai });
+
+    if (provinces.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No complete Climate records found for the requested provinces and period',
+        skipped
+      });
+    }
+
+    const result = laggedCorrelations(provinces, {
+      variables,
+      maxLag,
+      deseasonalize,
+      alpha
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        dependentVariable: CLIMATE_DEPENDENT_VARIABLE,
+        variables,
+        maxLag,
+        deseasonalized: deseasonalize,
+        alpha,
+        scope: provinceIds ? 'selected' : 'national',
+        national: result.national,
+        provinces: result.provinces
+      },
+      skipped
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to compute lagged correlations',
+      error: error.message
+    });
+  }
+};
@@ -2,6 +2,19 @@ import mongoose from 'mongoose';
 import Clustering from '../models/clustering.model.js';
 import Province from '../models/province.model.js';
 import asyncHandler from '../utils/asyncHandler.js';
+import { loadFoodSecurityPanel } from '../utils/foodSecurityData.js';
+import {
+  standardize,
+  kMeans,
+  dbscan,
+  buildClusterSummary,
+  resolveStatusThresholds,
+  findStatusMismatches,
+  silhouetteScore,
+  daviesBouldinIndex,
+  profileClusters
+} from '../utils/clustering.js';
+import { createModelRun } from '../utils/modelRun.js';
 
 /**
  * Get all clustering data with pagination and filtering
@@ -324,6 +337,219 @@ export const getClusterStatsByYear = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Get cluster validation metrics (silhouette, Davies-Bouldin) and cluster profiles by year
+ */
+export const getClusterValidationByYear = asyncHandler(async (req, res) => {
+  const { year } = req.params;
+  const { top = 3 } = req.query;
+  const yearInt = parseInt(year, 10);
+  
+  if (isNaN(yearInt) || yearInt < 2000 || yearInt > 2045) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid year. Year must be between 2000 and 2045'
+    });
+  }
+  
+  const [clusteringData, panel] = await Promise.all([
+    Clustering.find({ tahun: yearInt }, 'provinceId namaProvinsi cluster_id'),
+    loadFoodSecurityPanel(yearInt, yearInt)
+  ]);
+  
+  if (clusteringData.length === 0) {
+    return res.status(404).json({
+      success: false,
+      message: `No clustering data found for year ${yearInt}`
+    });
+  }
+  
+  const indicatorsByProvince = {};
+  panel.provinces.forEach(province => {
+    const [record] = province.records;
+    indicatorsByProvince[province.provinceId.toString()] = [record.y, ...record.x];
+  });
+  
+  // Indicators are standardized over every clustered province with data, as in a clustering run
+  const members = clusteringData.filter(item => indicatorsByProvince[item.provinceId.toString()]);
+  const missingData = clusteringData
+    .filter(item => !indicatorsByProvince[item.provinceId.toString()])
+    .map(item => item.namaProvinsi);
+  
+  if (members.length < 3) {
+    return res.status(422).json({
+      success: false,
+      message: `Not enough clustered provinces with food security data in ${yearInt} to validate`,
+      missingData
+    });
+  }
+  
+  const rows = members.map(item => indicatorsByProvince[item.provinceId.toString()]);
+  const { z } = standardize(rows);
+  const labels = members.map(item => item.cluster_id);
+  
+  // Validation metrics are computed without DBSCAN outliers
+  const clustered = labels.map((label, i) => (label === -1 ? -1 : i)).filter(i => i !== -1);
+  const clusteredPoints = clustered.map(i => z[i]);
+  const clusteredLabels = clustered.map(i => labels[i]);
+  const silhouette = silhouetteScore(clusteredPoints, clusteredLabels);
+  
+  const silhouetteByIndex = {};
+  clustered.forEach((index, position) => {
+    silhouetteByIndex[index] = silhouette.values[position];
+  });
+  
+  const profiles = profileClusters(rows, z, labels, parseInt(top, 10) || 3).map(({ indices, ...profile }) => ({
+    ...profile,
+    clusterLabel: profile.cluster_id === -1 ? 'Outlier' : `Cluster ${profile.cluster_id}`,
+    type: profile.cluster_id === -1 ? 'outlier' : 'cluster',
+    averageSilhouette: profile.cluster_id === -1 ? null :
+      indices.reduce((sum, i) => sum + silhouetteByIndex[i], 0) / indices.length,
+    provinces: indices.map(i => ({
+      provinceId: members[i].provinceId,
+      namaProvinsi: members[i].namaProvinsi,
+      silhouette: profile.cluster_id === -1 ? null : silhouetteByIndex[i]
+    }))
+  }));
+  
+  res.status(200).json({
+    success: true,
+    year: yearInt,
+    metrics: {
+      silhouetteScore: silhouette.score,
+      daviesBouldinIndex: daviesBouldinIndex(clusteredPoints, clusteredLabels),
+      totalClusters: new Set(clusteredLabels).size,
+      totalOutliers: labels.length - clustered.length,
+      provincesEvaluated: members.length
+    },
+    clusterProfiles: profiles,
+    missingData
+  });
+});
+
+/**
+ * Get cluster membership transitions of provinces between two years
+ * Query params: from, to (years)
+ */
+export const getClusterTransitions = asyncHandler(async (req, res) => {
+  const fromYear = parseInt(req.query.from, 10);
+  const toYear = parseInt(req.query.to, 10);
+  
+  if ([fromYear, toYear].some(y => isNaN(y) || y < 2000 || y > 2045) || fromYear === toYear) {
+    return res.status(400).json({
+      success: false,
+      message: 'Query params from and to must be two different years between 2000 and 2045'
+    });
+  }
+  
+  const [startYear, endYear] = fromYear < toYear ? [fromYear, toYear] : [toYear, fromYear];
+  const clusteringData = await Clustering.find(
+    { tahun: { $gte: startYear, $lte: endYear } },
+    'provinceId kodeProvinsi namaProvinsi tahun cluster_id'
+  ).sort({ namaProvinsi: 1, tahun: 1 });
+  
+  const labelOf = (clusterId) => {
+    if (clusterId === null) return 'Tidak ada data';
+    return clusterId === -1 ? 'Outlier' : `Cluster ${clusterId}`;
+  };
+  
+  // Per-province history over every year in the range
+  const byProvince = {};
+  clusteringData.forEach(item => {
+    const key = item.provinceId.toString();
+    if (!byProvince[key]) {
+      byProvince[key] = {
+        provinceId: item.provinceId,
+        kodeProvinsi: item.kodeProvinsi,
+        namaProvinsi: item.namaProvinsi,
+        history: []
+      };
+    }
+    byProvince[key].history.push({
+      tahun: item.tahun,
+      cluster_id: item.cluster_id,
+      clusterLabel: labelOf(item.cluster_id)
+    });
+  });
+  
+  const provinces = Object.values(byProvince);
+  
+  if (!clusteringData.some(item => item.tahun === fromYear) || !clusteringData.some(item => item.tahun === toYear)) {
+    return res.status(404).json({
+      success: false,
+      message: `Clustering data is required for both ${fromYear} and ${toYear}`
+    });
+  }
+  
+  const transitions = provinces.map(province => {
+    const fromEntry = province.history.find(h => h.tahun === fromYear);
+    const toEntry = province.history.find(h => h.tahun === toYear);
+    const fromId = fromEntry ? fromEntry.cluster_id : null;
+    const toId = toEntry ? toEntry.cluster_id : null;
+    
+    return {
+      provinceId: province.provinceId,
+      kodeProvinsi: province.kodeProvinsi,
+      namaProvinsi: province.namaProvinsi,
+      from: { cluster_id: fromId, clusterLabel: labelOf(fromId) },
+      to: { cluster_id: toId, clusterLabel: labelOf(toId) },
+      changed: fromId !== toId
+    };
+  });
+  
+  // Transition matrix: rows are the clusters in `from`, columns the clusters in `to`
+  const sortLabels = (ids) => [...new Set(ids)].sort((a, b) => {
+    if (a === null) return 1;
+    if (b === null) return -1;
+    return a - b;
+  });
+  const fromIds = sortLabels(transitions.map(t => t.from.cluster_id));
+  const toIds = sortLabels(transitions.map(t => t.to.cluster_id));
+  const counts = fromIds.map(fromId => toIds.map(toId =>
+    transitions.filter(t => t.from.cluster_id === fromId && t.to.cluster_id === toId).length
+  ));
+  
+  // Sankey nodes are namespaced by year so the same cluster appears on both sides
+  const nodeId = (year, clusterId) => `${year}:${labelOf(clusterId)}`;
+  const nodes = [
+    ...fromIds.map(id => ({ id: nodeId(fromYear, id), name: labelOf(id), tahun: fromYear, cluster_id: id })),
+    ...toIds.map(id => ({ id: nodeId(toYear, id), name: labelOf(id), tahun: toYear, cluster_id: id }))
+  ];
+  const links = [];
+  fromIds.forEach((fromId, i) => {
+    toIds.forEach((toId, j) => {
+      if (counts[i][j] === 0) return;
+      links.push({
+        source: nodeId(fromYear, fromId),
+        target: nodeId(toYear, toId),
+        value: counts[i][j],
+        provinces: transitions
+          .filter(t => t.from.cluster_id === fromId && t.to.cluster_id === toId)
+          .map(t => t.namaProvinsi)
+      });
+    });
+  });
+  
+  res.status(200).json({
+    success: true,
+    from: fromYear,
+    to: toYear,
+    summary: {
+      totalProvinces: transitions.length,
+      changed: transitions.filter(t => t.changed).length,
+      unchanged: transitions.filter(t => !t.changed).length
+    },
+    transitionMatrix: {
+      rows: fromIds.map(labelOf),
+      columns: toIds.map(labelOf),
+      counts
+    },
+    sankey: { nodes, links },
+    transitions,
+    history: provinces
+  });
+});
+
 /**
  * Get only outliers by year
  */
@@ -612,6 +838,16 @@ export const deleteClusteringData = asyncHandler(async (req, res) => {
  * Bulk import clustering data
  */
 export const bulkImportClustering = asyncHandler(async (req, res) => {
+  let thresholds;
+  try {
+    thresholds = resolveStatusThresholds(req.body.thresholds);
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
   const session = await mongoose.startSession();
   session.startTransaction();
   
@@ -638,7 +874,8 @@ export const bulkImportClustering = asyncHandler(async (req, res) => {
       errors: [],
       processedCount: 0,
       outliers: 0,
-      clusters: 0
+      clusters: 0,
+      statusWarnings: []
     };
     
     // Process each clustering data entry
@@ -678,6 +915,18 @@ export const bulkImportClustering = asyncHandler(async (req, res) => {
           }
         }
         
+        // Imported labels are kept, but flag the ones that contradict their score
+        const mismatches = findStatusMismatches(cluster_summary, thresholds);
+        if (mismatches.length > 0) {
+          result.statusWarnings.push({
+            index: index + 1,
+            provinceId,
+            namaProvinsi: province.name,
+            tahun,
+            mismatches
+          });
+        }
+        
         // Check if data already exists
         const existingData = await Clustering.findOne({ 
           provinceId: provinceId, 
@@ -753,7 +1002,8 @@ export const bulkImportClustering = asyncHandler(async (req, res) => {
         failed: result.failed,
         outliers: result.outliers,
         clusters: result.clusters,
-        errors: result.errors
+        errors: result.errors,
+        statusWarnings: result.statusWarnings
       }
     });
     
@@ -785,6 +1035,16 @@ export const bulkImportClustering = asyncHandler(async (req, res) => {
 export const validateBulkImportData = asyncHandler(async (req, res) => {
   const { clusteringData } = req.body;
   
+  let thresholds;
+  try {
+    thresholds = resolveStatusThresholds(req.body.thresholds);
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  
   if (!clusteringData || !Array.isArray(clusteringData)) {
     return res.status(400).json({
       success: false,
@@ -798,7 +1058,8 @@ export const validateBulkImportData = asyncHandler(async (req, res) => {
     invalidEntries: 0,
     outliers: 0,
     clusters: 0,
-    errors: []
+    errors: [],
+    statusWarnings: []
   };
   
   const requiredFields = ['provinceId', 'tahun', 'cluster_id', 'cluster_group', 'cluster_summary'];
@@ -838,6 +1099,16 @@ export const validateBulkImportData = asyncHandler(async (req, res) => {
           entryErrors.push(`Invalid cluster_summary.${field}: missing status or rata_rata_skor_standar`);
         }
       });
+      
+      const mismatches = findStatusMismatches(data.cluster_summary, thresholds);
+      if (mismatches.length > 0) {
+        validationResults.statusWarnings.push({
+          index: index + 1,
+          provinceId: data.provinceId,
+          tahun: data.tahun,
+          mismatches
+        });
+      }
     }
     
     if (entryErrors.length === 0) {
@@ -865,3 +1136,333 @@ export const validateBulkImportData = asyncHandler(async (req, res) => {
     readyForImport: validationResults.invalidEntries === 0
   });
 });
+
+/**
+ * Cluster provinces for a year from standardized FoodSecurity indicators
+ * (k-means or DBSCAN) and replace that year's clustering data with the results in one transaction
+ */
+export const runClustering = asyncHandler(async (req, res) => {
+  const {
+    tahun,
+    method = 'dbscan',
+    k = 3,
+    eps = 1.5,
+    minPts = 3,
+    seed = 42
+  } = req.body;
+  const yearInt = parseInt(tahun, 10);
+  let thresholds;
+
+  if (isNaN(yearInt) || yearInt < 2000 || yearInt > 2045) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid year. Year must be between 2000 and 2045'
+    });
+  }
+
+  if (!['dbscan', 'kmeans'].includes(method)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid method. Supported methods: dbscan, kmeans'
+    });
+  }
+
+  if (method === 'kmeans' && (!Number.isInteger(Number(k)) || Number(k) < 2)) {
+    return res.status(400).json({
+      success: false,
+      message: 'k must be an integer of at least 2'
+    });
+  }
+
+  if (method === 'dbscan' && (!(Number(eps) > 0) || !Number.isInteger(Number(minPts)) || Number(minPts) < 1)) {
+    return res.status(400).json({
+      success: false,
+      message: 'eps must be positive and minPts a positive integer'
+    });
+  }
+
+  try {
+    thresholds = resolveStatusThresholds(req.body.thresholds);
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  const { provinces, skipped } = await loadFoodSecurityPanel(yearInt, yearInt);
+
+  if (provinces.length < 3 || (method === 'kmeans' && provinces.length < Number(k))) {
+    return res.status(422).json({
+      success: false,
+      message: `Not enough provinces with food security data in ${yearInt} to cluster`,
+      skipped
+    });
+  }
+
+  const rows = provinces.map(province => {
+    const [record] = province.records;
+    return [record.y, ...record.x];
+  });
+  const { z } = standardize(rows);
+
+  let labels;
+  let parameters;
+  let details = {};
+
+  if (method === 'kmeans') {
+    const result = kMeans(z, { k: Number(k), seed: Number(seed) });
+    labels = result.labels;
+    parameters = { k: Number(k), seed: Number(seed) };
+    details = { inertia: result.inertia, iterations: result.iterations };
+  } else {
+    const result = dbscan(z, { eps: Number(eps), minPts: Number(minPts) });
+    labels = result.labels;
+    parameters = { eps: Number(eps), minPts: Number(minPts) };
+    details = { corePoints: result.corePoints };
+  }
+
+  // Outliers are summarised individually, clusters by their member average
+  const clusterSummaries = {};
+  [...new Set(labels)].filter(label => label !== -1).forEach(label => {
+    clusterSummaries[label] = buildClusterSummary(z.filter((_, i) => labels[i] === label), thresholds);
+  });
+
+  const run = createModelRun({
+    modelType: 'clustering',
+    method,
+    inputFilter: { tahun: yearInt },
+    parameters: { ...parameters, thresholds }
+  }, req.user);
+
+  const result = {
+    created: 0,
+    updated: 0,
+    removed: 0
+  };
+  const snapshots = provinces.map((province, i) => {
+    const cluster_id = labels[i];
+    return {
+      provinceId: province.provinceId,
+      tahun: yearInt,
+      cluster_id,
+      cluster_group: cluster_id === -1 ? 'Outlier' : `Cluster ${cluster_id}`,
+      cluster_summary: cluster_id === -1 ? buildClusterSummary([z[i]], thresholds) : clusterSummaries[cluster_id],
+      namaProvinsi: province.name,
+      kodeProvinsi: province.code,
+      isOutlier: cluster_id === -1,
+      clusterLabel: cluster_id === -1 ? 'Outlier' : `Cluster ${cluster_id}`,
+      modelRunId: run._id,
+      updatedAt: new Date()
+    };
+  });
+
+  // The year's clustering_data is replaced as a whole, so it never mixes two runs
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    for (const clusteringEntry of snapshots) {
+      const existingData = await Clustering.findOne(
+        { provinceId: clusteringEntry.provinceId, tahun: yearInt },
+        null,
+        { session }
+      );
+
+      if (existingData) {
+        await Clustering.findByIdAndUpdate(
+          existingData._id,
+          { $set: clusteringEntry },
+          { new: true, runValidators: true, session }
+        );
+        result.updated++;
+      } else {
+        await Clustering.create([clusteringEntry], { session });
+        result.created++;
+      }
+    }
+
+    const removed = await Clustering.deleteMany(
+      { tahun: yearInt, modelRunId: { $ne: run._id } },
+      { session }
+    );
+    result.removed = removed.deletedCount;
+
+    await session.commitTransaction();
+    session.endSession();
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+
+    run.status = 'failed';
+    run.metrics = { error: error.message };
+    await run.save();
+
+    return res.status(500).json({
+      success: false,
+      message: `Clustering for ${yearInt} could not be saved, no records were changed`,
+      modelRunId: run._id,
+      error: error.message
+    });
+  }
+
+  const clusters = [...new Set(labels)].sort((a, b) => a - b).map(label => ({
+    cluster_id: label,
+    clusterLabel: label === -1 ? 'Outlier' : `Cluster ${label}`,
+    count: labels.filter(l => l === label).length,
+    provinces: provinces.filter((_, i) => labels[i] === label).map(p => p.name),
+    cluster_summary: label === -1 ? null : clusterSummaries[label]
+  }));
+
+  const clustered = labels.map((label, i) => (label === -1 ? -1 : i)).filter(i => i !== -1);
+  const clusteredPoints = clustered.map(i => z[i]);
+  const clusteredLabels = clustered.map(i => labels[i]);
+
+  run.status = 'completed';
+  run.metrics = {
+    ...details,
+    totalClusters: clusters.filter(c => c.cluster_id !== -1).length,
+    totalOutliers: labels.filter(l => l === -1).length,
+    silhouetteScore: silhouetteScore(clusteredPoints, clusteredLabels).score,
+    daviesBouldinIndex: daviesBouldinIndex(clusteredPoints, clusteredLabels),
+    created: result.created,
+    updated: result.updated,
+    removed: result.removed
+  };
+  run.results = snapshots;
+  await run.save();
+
+  return res.status(200).json({
+    success: true,
+    message: `Clustering completed. Created: ${result.created}, Updated: ${result.updated}, Removed: ${result.removed}`,
+    modelRunId: run._id,
+    year: yearInt,
+    method,
+    parameters,
+    details,
+    totalClusters: clusters.filter(c => c.cluster_id !== -1).length,
+    totalOutliers: labels.filter(l => l === -1).length,
+    clusters,
+    result,
+    skipped
+  });
+});
+
+/**
+ * List clustering records whose cluster_summary status contradicts its score
+ */
+export const getStatusMismatches = asyncHandler(async (req, res) => {
+  const { year, thresholds: thresholdsQuery } = req.query;
+
+  let thresholds;
+  try {
+    thresholds = resolveStatusThresholds(thresholdsQuery ? JSON.parse(thresholdsQuery) : null);
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.statusCode ? error.message : 'thresholds must be valid JSON'
+    });
+  }
+
+  const query = {};
+  if (year) query.tahun = parseInt(year, 10);
+
+  const clusteringData = await Clustering.find(query, 'provinceId namaProvinsi kodeProvinsi tahun cluster_id cluster_summary')
+    .sort({ tahun: -1, namaProvinsi: 1 });
+
+  const data = clusteringData
+    .map(item => ({
+      id: item._id,
+      provinceId: item.provinceId,
+      namaProvinsi: item.namaProvinsi,
+      tahun: item.tahun,
+      cluster_id: item.cluster_id,
+      mismatches: findStatusMismatches(item.cluster_summary, thresholds)
+    }))
+    .filter(item => item.mismatches.length > 0);
+
+  res.status(200).json({
+    success: true,
+    year: year ? parseInt(year, 10) : 'all',
+    thresholds,
+    totalChecked: clusteringData.length,
+    count: data.length,
+    data
+  });
+});
+
+/**
+ * Recompute cluster_summary status labels of existing clustering records from
+ * their standardized scores
+ */
+export const recomputeClusterStatus = asyncHandler(async (req, res) => {
+  const { tahun } = req.body;
+  // Form posts and some clients send booleans as strings, and 'false' must not read as true
+  const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+  let thresholds;
+  try {
+    thresholds = resolveStatusThresholds(req.body.thresholds);
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  const query = {};
+  if (tahun !== undefined) {
+    const yearInt = parseInt(tahun, 10);
+    if (isNaN(yearInt) || yearInt < 2000 || yearInt > 2045) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid year. Year must be between 2000 and 2045'
+      });
+    }
+    query.tahun = yearInt;
+  }
+
+  const clusteringData = await Clustering.find(query);
+  const changes = [];
+  const errors = [];
+
+  for (const item of clusteringData) {
+    const mismatches = findStatusMismatches(item.cluster_summary, thresholds);
+    if (mismatches.length === 0) continue;
+
+    changes.push({
+      id: item._id,
+      namaProvinsi: item.namaProvinsi,
+      tahun: item.tahun,
+      changes: mismatches.map(({ dimension, status, expectedStatus }) => ({
+        dimension,
+        from: status,
+        to: expectedStatus
+      }))
+    });
+
+    if (dryRun) continue;
+
+    const update = { updatedAt: new Date() };
+    mismatches.forEach(({ dimension, expectedStatus }) => {
+      update[`cluster_summary.${dimension}.status`] = expectedStatus;
+    });
+
+    try {
+      await Clustering.updateOne({ _id: item._id }, { $set: update }, { runValidators: true });
+    } catch (error) {
+      errors.push({ id: item._id, namaProvinsi: item.namaProvinsi, error: error.message });
+    }
+  }
+
+  res.status(errors.length > 0 ? 207 : 200).json({
+    success: errors.length === 0,
+    message: dryRun
+      ? `${changes.length} of ${clusteringData.length} records would change`
+      : `${changes.length - errors.length} of ${clusteringData.length} records updated`,
+    dryRun,
+    thresholds,
+    data: changes,
+    errors
+  });
+});
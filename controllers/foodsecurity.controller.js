@@ -1,7 +1,10 @@
 import mongoose from 'mongoose';
 import FoodSecurity from '../models/foodsecurity.model.js';
 import Province from '../models/province.model.js';
+import GWPR from '../models/gwpr.model.js';
 import asyncHandler from '../utils/asyncHandler.js';
+import { INDEPENDENT_VARIABLES } from '../utils/foodSecurityData.js';
+import { projectPercentageTrend, linearTrend, PROJECTION_TRANSFORMS } from '../utils/projection.js';
 
 /**
  * Get all food security data with pagination and filtering
@@ -448,6 +451,224 @@ export const getFoodSecurityTrend = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Project prevalence of undernourishment to a target year for one province (`:id`) or all provinces.
+ * The baseline is the historical trend with prediction bands. `scenario[variable]=value` sets
+ * independent variable values for the target year; the path from the last observed value is
+ * compared with each variable's own trend and weighted by the province's stored GWPR coefficients.
+ */
+export const getFoodSecurityProjection = asyncHandler(async (req, res) => {
+  const { id: provinceId } = req.params;
+  const { target_year = 2030, transform = 'logit', confidence = 0.95, scenario = {} } = req.query;
+  const targetYear = parseInt(target_year, 10);
+  const confidenceLevel = Number(confidence);
+
+  if (provinceId && !mongoose.Types.ObjectId.isValid(provinceId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid province ID format'
+    });
+  }
+
+  if (isNaN(targetYear) || targetYear < 2000 || targetYear > 2100) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid target_year. Year must be between 2000 and 2100'
+    });
+  }
+
+  if (!PROJECTION_TRANSFORMS.includes(transform)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid transform. Supported values: ${PROJECTION_TRANSFORMS.join(', ')}`
+    });
+  }
+
+  if (!(confidenceLevel >= 0.5 && confidenceLevel < 1)) {
+    return res.status(400).json({
+      success: false,
+      message: 'confidence must be at least 0.5 and below 1'
+    });
+  }
+
+  if (typeof scenario !== 'object' || Array.isArray(scenario)) {
+    return res.status(400).json({
+      success: false,
+      message: 'scenario must be given as scenario[variable]=value',
+      availableVariables: INDEPENDENT_VARIABLES
+    });
+  }
+
+  const invalidVariables = Object.keys(scenario).filter(name => !INDEPENDENT_VARIABLES.includes(name));
+  if (invalidVariables.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid variables: ${invalidVariables.join(', ')}`,
+      availableVariables: INDEPENDENT_VARIABLES
+    });
+  }
+
+  const nonNumeric = Object.keys(scenario).filter(name => !Number.isFinite(Number(scenario[name])));
+  if (nonNumeric.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Scenario values must be numbers: ${nonNumeric.join(', ')}`
+    });
+  }
+
+  const provinces = provinceId
+    ? await Province.find({ _id: provinceId }, 'name code')
+    : await Province.find({}, 'name code').sort({ name: 1 });
+
+  if (provinceId && provinces.length === 0) {
+    return res.status(404).json({
+      success: false,
+      message: 'Province not found'
+    });
+  }
+
+  const records = await FoodSecurity.find(
+    { provinsi: { $in: provinces.map(province => province.name) } },
+    'provinsi tahun dependent_variable.prevalence_of_undernourishment independent_variables'
+  ).sort({ tahun: 1 });
+
+  const scenarioVariables = Object.keys(scenario);
+  const coefficientsByProvince = {};
+  if (scenarioVariables.length > 0) {
+    const gwprRecords = await GWPR.find({
+      provinceId: { $in: provinces.map(province => province._id) },
+      koefisien_regresi: { $exists: true }
+    }).sort({ updatedAt: -1 });
+
+    gwprRecords.forEach(record => {
+      const key = record.provinceId.toString();
+      if (!coefficientsByProvince[key]) {
+        coefficientsByProvince[key] = record.koefisien_regresi.toObject
+          ? record.koefisien_regresi.toObject()
+          : record.koefisien_regresi;
+      }
+    });
+  }
+
+  const projections = [];
+  const skipped = [];
+
+  provinces.forEach(province => {
+    const history = records.filter(record => record.provinsi === province.name &&
+      typeof record.dependent_variable?.prevalence_of_undernourishment === 'number');
+    const lastRecord = history[history.length - 1];
+
+    if (history.length < 3) {
+      skipped.push({ provinsi: province.name, reason: `Less than 3 years of data (${history.length})` });
+      return;
+    }
+
+    if (lastRecord.tahun >= targetYear) {
+      skipped.push({ provinsi: province.name, reason: `Data already available up to ${lastRecord.tahun}` });
+      return;
+    }
+
+    const projection = projectPercentageTrend(
+      history.map(record => ({ year: record.tahun, value: record.dependent_variable.prevalence_of_undernourishment })),
+      { targetYear, transform, confidence: confidenceLevel }
+    );
+
+    const result = {
+      provinceId: province._id,
+      provinsi: province.name,
+      code: province.code,
+      lastObserved: {
+        year: lastRecord.tahun,
+        prevalence_of_undernourishment: lastRecord.dependent_variable.prevalence_of_undernourishment
+      },
+      trend: {
+        transform: projection.transform,
+        observations: projection.observations,
+        slope: projection.slope,
+        residualStandardError: projection.residualStandardError
+      },
+      path: projection.path,
+      target: projection.path[projection.path.length - 1],
+      scenario: null
+    };
+
+    if (scenarioVariables.length > 0) {
+      const coefficients = coefficientsByProvince[province._id.toString()];
+      if (!coefficients) {
+        result.scenario = { applied: false, reason: 'No GWPR coefficients stored for this province' };
+      } else {
+        const span = targetYear - lastRecord.tahun;
+        const variables = scenarioVariables.map(name => {
+          const observed = history.filter(record => typeof record.independent_variables?.[name] === 'number');
+          const lastValue = lastRecord.independent_variables?.[name];
+          return {
+            name,
+            coefficient: coefficients[name] ?? 0,
+            lastValue,
+            targetValue: Number(scenario[name]),
+            baseline: observed.length >= 2
+              ? linearTrend(observed.map(record => record.tahun), observed.map(record => record.independent_variables[name]))
+              : null
+          };
+        });
+
+        const usable = variables.filter(variable => typeof variable.lastValue === 'number' && variable.baseline);
+        const clamp = (value) => Math.min(100, Math.max(0, value));
+        const effectAt = (year) => usable.reduce((sum, variable) => {
+          const scenarioValue = variable.lastValue + (variable.targetValue - variable.lastValue) * (year - lastRecord.tahun) / span;
+          return sum + variable.coefficient * (scenarioValue - variable.baseline.at(year));
+        }, 0);
+
+        result.path = result.path.map(point => {
+          const effect = effectAt(point.year);
+          return {
+            ...point,
+            scenarioEffect: effect,
+            scenarioProjected: clamp(point.projected + effect),
+            scenarioLower: clamp(point.lower + effect),
+            scenarioUpper: clamp(point.upper + effect)
+          };
+        });
+        result.target = result.path[result.path.length - 1];
+        result.scenario = {
+          applied: true,
+          variables: usable.map(variable => ({
+            name: variable.name,
+            coefficient: variable.coefficient,
+            lastValue: variable.lastValue,
+            targetValue: variable.targetValue,
+            trendValueAtTarget: variable.baseline.at(targetYear),
+            contributionAtTarget: variable.coefficient * (variable.targetValue - variable.baseline.at(targetYear))
+          })),
+          ignored: variables.filter(variable => !usable.includes(variable)).map(variable => variable.name)
+        };
+      }
+    }
+
+    projections.push(result);
+  });
+
+  if (provinceId && projections.length === 0) {
+    return res.status(422).json({
+      success: false,
+      message: `Cannot project ${provinces[0].name}: ${skipped[0].reason}`
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    targetYear,
+    confidence: confidenceLevel,
+    transform,
+    scenario: scenarioVariables.length > 0
+      ? Object.fromEntries(scenarioVariables.map(name => [name, Number(scenario[name])]))
+      : null,
+    totalProvinces: projections.length,
+    data: projections,
+    skipped
+  });
+});
+
 /**
  * Get provinces ranked by food security index for a year
  */
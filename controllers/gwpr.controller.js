@@ -3,6 +3,32 @@ import GWPR from '../models/gwpr.model.js';
 import FoodSecurity from '../models/foodsecurity.model.js';
 import Province from '../models/province.model.js';
 import asyncHandler from '../utils/asyncHandler.js';
+import { loadFoodSecurityPanel, INDEPENDENT_VARIABLES } from '../utils/foodSecurityData.js';
+import {
+  fitGWPR,
+  selectGWPRBandwidth,
+  buildWithinDesign,
+  crossValidatePanel,
+  localCollinearity,
+  CV_HOLDOUTS,
+  classifyLocalSignificance,
+  predictScenario,
+  KERNELS,
+  BANDWIDTH_CRITERIA,
+  SIGNIFICANCE_CORRECTIONS
+} from '../utils/gwpr.js';
+import { createModelRun, recordModelRun } from '../utils/modelRun.js';
+import { fitOLS, fitSpatialLag, computeAICcFromLogLikelihood } from '../utils/spatialRegression.js';
+import { loadProvinceWeights, buildPanelWeights, WEIGHT_METHODS } from '../utils/spatialWeights.js';
+import { globalMoran } from '../utils/spatialAutocorrelation.js';
+import {
+  correlationMatrix,
+  collinearityFromCorrelation,
+  collinearityWarnings,
+  VIF_WARNING,
+  CONDITION_NUMBER_WARNING,
+  CORRELATION_WARNING
+} from '../utils/collinearity.js';
 
 /**
  * Create GWPR data (simple version)
@@ -26,16 +52,22 @@ export const createGWPR = asyncHandler(async (req, res) => {
       });
     }
     
-    // Check if configuration already exists for this province and kelompok
+    const periode = periode_analisis || {
+      tahun_mulai: 2018,
+      tahun_selesai: 2023
+    };
+
+    // Check if configuration already exists for this province and analysis period
     const existingConfig = await GWPR.findOne({ 
       provinceId: provinceId,
-      kelompok: kelompok
+      'periode_analisis.tahun_mulai': periode.tahun_mulai,
+      'periode_analisis.tahun_selesai': periode.tahun_selesai
     });
     
     if (existingConfig) {
       return res.status(409).json({
         success: false,
-        message: 'GWPR configuration already exists for this province and kelompok'
+        message: 'GWPR configuration already exists for this province and analysis period'
       });
     }
     
@@ -44,10 +76,7 @@ export const createGWPR = asyncHandler(async (req, res) => {
       kelompok,
       provinceId: provinceId,
       variabel_signifikan,
-      periode_analisis: periode_analisis || {
-        tahun_mulai: 2018,
-        tahun_selesai: 2023
-      },
+      periode_analisis: periode,
       // Optional fields
       ...(req.body.koefisien_regresi && { koefisien_regresi: req.body.koefisien_regresi }),
       ...(req.body.r_squared && { r_squared: req.body.r_squared }),
@@ -1224,7 +1253,7 @@ export const createGWPRRecord = async (req, res) => {
     if (error.code === 11000) {
       return res.status(400).json({
         success: false,
-        message: 'GWPR record for this province and kelompok already exists'
+        message: 'GWPR record for this province and analysis period already exists'
       });
     }
     
@@ -1314,12 +1343,56 @@ export const getGWPRByProvinceSimple = async (req, res) => {
 // Get GWPR by kelompok
 export const getGWPRByKelompok = async (req, res) => {
   try {
-    const gwprRecords = await GWPR.find({ kelompok: req.params.kelompok })
+    const { tahun_mulai, tahun_selesai } = req.query;
+    const query = { kelompok: req.params.kelompok };
+    
+    // Kelompok numbers are derived per GWPR run and a province can be in a different group in
+    // another period, so never mix periods: a missing bound (or both) is taken from the most
+    // recently fitted period that matches the given one
+    const bounds = {};
+    if (tahun_mulai) bounds['periode_analisis.tahun_mulai'] = parseInt(tahun_mulai, 10);
+    if (tahun_selesai) bounds['periode_analisis.tahun_selesai'] = parseInt(tahun_selesai, 10);
+
+    if (Object.values(bounds).some(isNaN)) {
+      return res.status(400).json({
+        success: false,
+        message: 'tahun_mulai and tahun_selesai must be years'
+      });
+    }
+
+    let periode = null;
+    if (bounds['periode_analisis.tahun_mulai'] !== undefined && bounds['periode_analisis.tahun_selesai'] !== undefined) {
+      periode = {
+        tahun_mulai: bounds['periode_analisis.tahun_mulai'],
+        tahun_selesai: bounds['periode_analisis.tahun_selesai']
+      };
+    } else {
+      const latest = await GWPR.findOne(bounds, 'periode_analisis').sort({ updatedAt: -1 });
+      if (latest) {
+        periode = {
+          tahun_mulai: latest.periode_analisis.tahun_mulai,
+          tahun_selesai: latest.periode_analisis.tahun_selesai
+        };
+      }
+    }
+
+    if (!periode) {
+      return res.status(200).json({
+        success: true,
+        periode_analisis: null,
+        data: []
+      });
+    }
+    query['periode_analisis.tahun_mulai'] = periode.tahun_mulai;
+    query['periode_analisis.tahun_selesai'] = periode.tahun_selesai;
+    
+    const gwprRecords = await GWPR.find(query)
       .populate('provinceId', 'name')
       .sort({ 'provinceId.name': 1 });
     
     res.status(200).json({
       success: true,
+      periode_analisis: periode,
       data: gwprRecords
     });
   } catch (error) {
@@ -1354,7 +1427,7 @@ export const bulkCreateGWPR = async (req, res) => {
     if (error.code === 11000) {
       return res.status(400).json({
         success: false,
-        message: 'Some GWPR records already exist for the same province and kelompok',
+        message: 'Some GWPR records already exist for the same province and analysis period',
         error: error.message
       });
     }
@@ -1366,3 +1439,1052 @@ export const bulkCreateGWPR = async (req, res) => {
     });
   }
 };
+
+/**
+ * Fit GWPR from FoodSecurity data and replace the period's GWPR records with the local results
+ * in one transaction. The bandwidth is selected by AICc or CV unless a fixed value is supplied.
+ */
+export const runGWPR = asyncHandler(async (req, res) => {
+  const {
+    periode_analisis = {},
+    bandwidth,
+    bandwidth_type = 'fixed',
+    kernel = 'gaussian',
+    criterion = 'aicc',
+    bandwidth_min,
+    bandwidth_max,
+    alpha = 0.05,
+    correction = 'fotheringham'
+  } = req.body;
+  const tahunMulai = parseInt(periode_analisis.tahun_mulai ?? 2018, 10);
+  const tahunSelesai = parseInt(periode_analisis.tahun_selesai ?? 2023, 10);
+  const adaptive = bandwidth_type === 'adaptive';
+  const manualBandwidth = bandwidth !== undefined && bandwidth !== null;
+
+  if (isNaN(tahunMulai) || isNaN(tahunSelesai) || tahunMulai < 2000 || tahunSelesai > 2100 || tahunMulai >= tahunSelesai) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid periode_analisis. tahun_mulai must be before tahun_selesai, both between 2000 and 2100'
+    });
+  }
+
+  if (!['fixed', 'adaptive'].includes(bandwidth_type)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid bandwidth_type. Supported types: fixed, adaptive'
+    });
+  }
+
+  if (!Object.keys(KERNELS).includes(kernel)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid kernel. Supported kernels: ${Object.keys(KERNELS).join(', ')}`
+    });
+  }
+
+  if (!manualBandwidth && !BANDWIDTH_CRITERIA.includes(criterion)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid criterion. Supported criteria: ${BANDWIDTH_CRITERIA.join(', ')}`
+    });
+  }
+
+  if (!SIGNIFICANCE_CORRECTIONS.includes(correction)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid correction. Supported corrections: ${SIGNIFICANCE_CORRECTIONS.join(', ')}`
+    });
+  }
+
+  if (!Number.isFinite(Number(alpha)) || Number(alpha) <= 0 || Number(alpha) >= 1) {
+    return res.status(400).json({
+      success: false,
+      message: 'alpha must be a number between 0 and 1'
+    });
+  }
+
+  if (manualBandwidth && (!Number.isFinite(Number(bandwidth)) || Number(bandwidth) <= 0 ||
+      (adaptive && !Number.isInteger(Number(bandwidth))))) {
+    return res.status(400).json({
+      success: false,
+      message: adaptive
+        ? 'bandwidth must be a positive integer number of neighbours for an adaptive bandwidth'
+        : 'bandwidth (in kilometres) must be a positive number'
+    });
+  }
+
+  try {
+    const panel = await loadFoodSecurityPanel(tahunMulai, tahunSelesai);
+
+    // A within (fixed effects) transformation needs at least two years per province
+    const provinces = panel.provinces.filter(province => province.records.length >= 2);
+    const skipped = [
+      ...panel.skipped,
+      ...panel.provinces
+        .filter(province => province.records.length < 2)
+        .map(province => ({ provinsi: province.name, reason: 'Less than two years of data' }))
+    ];
+
+    if (provinces.length <= INDEPENDENT_VARIABLES.length) {
+      return res.status(422).json({
+        success: false,
+        message: `Not enough provinces with food security data between ${tahunMulai} and ${tahunSelesai} to fit GWPR`,
+        skipped
+      });
+    }
+
+    let bandwidthSelection = null;
+    let bandwidthValue = Number(bandwidth);
+
+    if (!manualBandwidth) {
+      bandwidthSelection = selectGWPRBandwidth({
+        provinces,
+        kernel,
+        adaptive,
+        criterion,
+        min: bandwidth_min !== undefined ? Number(bandwidth_min) : undefined,
+        max: bandwidth_max !== undefined ? Number(bandwidth_max) : undefined
+      });
+      bandwidthValue = bandwidthSelection.bandwidth;
+    }
+
+    const model = fitGWPR({ provinces, bandwidth: bandwidthValue, kernel, adaptive });
+    const significance = classifyLocalSignificance(model, INDEPENDENT_VARIABLES, {
+      alpha: Number(alpha),
+      correction
+    });
+    const clamp = (value) => Math.min(1, Math.max(0, value));
+
+    const run = createModelRun({
+      modelType: 'gwpr',
+      method: kernel,
+      inputFilter: { tahun_mulai: tahunMulai, tahun_selesai: tahunSelesai },
+      parameters: {
+        bandwidth: bandwidthValue,
+        bandwidth_type,
+        kernel,
+        bandwidth_criterion: manualBandwidth ? 'manual' : criterion,
+        bandwidth_min,
+        bandwidth_max,
+        alpha: Number(alpha),
+        correction
+      }
+    }, req.user);
+
+    const results = [];
+    const snapshots = [];
+    let removed = 0;
+
+    // The period's GWPR records are replaced as a whole, so provinces dropped from this fit
+    // do not keep coefficients and kelompok from an earlier run
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      for (const [i, estimate] of model.local.entries()) {
+        const { kelompok, variabel_signifikan } = significance.local[i];
+        const koefisien_regresi = {};
+        const nilai_t = {};
+        const standard_errors = {};
+        const p_values = {};
+        INDEPENDENT_VARIABLES.forEach((name, j) => {
+          koefisien_regresi[name] = estimate.coefficients[j];
+          standard_errors[name] = estimate.standardErrors[j];
+          p_values[name] = estimate.pValues[j];
+          if (estimate.tValues[j] !== null) nilai_t[name] = estimate.tValues[j];
+        });
+
+        const update = {
+          periode_analisis: { tahun_mulai: tahunMulai, tahun_selesai: tahunSelesai },
+          kelompok,
+          variabel_signifikan,
+          koefisien_regresi,
+          nilai_t,
+          r_squared: clamp(estimate.rSquared),
+          bandwidth: bandwidthValue,
+          bandwidth_type,
+          kernel,
+          bandwidth_criterion: manualBandwidth ? 'manual' : criterion,
+          modelRunId: run._id,
+          updatedAt: new Date()
+        };
+        if (estimate.adjustedRSquared !== null) {
+          update.adjusted_r_squared = clamp(estimate.adjustedRSquared);
+        }
+
+        const gwpr = await GWPR.findOneAndUpdate(
+          {
+            provinceId: estimate.provinceId,
+            'periode_analisis.tahun_mulai': tahunMulai,
+            'periode_analisis.tahun_selesai': tahunSelesai
+          },
+          {
+            $set: update,
+            $setOnInsert: {
+              createdBy: req.user.name || req.user._id,
+              userRole: req.user.role
+            }
+          },
+          { new: true, upsert: true, runValidators: true, session }
+        );
+
+        snapshots.push({ provinceId: estimate.provinceId, ...update });
+        results.push({
+          gwprId: gwpr._id,
+          provinceId: estimate.provinceId,
+          provinsi: estimate.name,
+          observations: estimate.observations,
+          kelompok,
+          variabel_signifikan,
+          koefisien_regresi,
+          standard_errors,
+          nilai_t,
+          p_values,
+          r_squared: estimate.rSquared,
+          adjusted_r_squared: estimate.adjustedRSquared
+        });
+      }
+
+      const stale = await GWPR.deleteMany(
+        {
+          'periode_analisis.tahun_mulai': tahunMulai,
+          'periode_analisis.tahun_selesai': tahunSelesai,
+          modelRunId: { $ne: run._id }
+        },
+        { session }
+      );
+      removed = stale.deletedCount;
+
+      await session.commitTransaction();
+      session.endSession();
+    } catch (error) {
+      await session.abortTransaction();
+      session.endSession();
+
+      run.status = 'failed';
+      run.metrics = { ...model.diagnostics, error: error.message };
+      await run.save();
+
+      return res.status(500).json({
+        success: false,
+        message: `GWPR results for ${tahunMulai}-${tahunSelesai} could not be saved, no records were changed`,
+        modelRunId: run._id,
+        error: error.code === 11000
+          ? 'Duplicate GWPR record for this province and period; check that the legacy { provinceId, kelompok } index was dropped'
+          : error.message
+      });
+    }
+
+    run.status = 'completed';
+    run.metrics = {
+      ...model.diagnostics,
+      adjustedAlpha: significance.adjustedAlpha,
+      groups: significance.groups.length,
+      saved: results.length,
+      removed
+    };
+    run.results = snapshots;
+    await run.save();
+
+    return res.status(200).json({
+      success: true,
+      message: `GWPR fitted for ${model.local.length} provinces, ${results.length} records saved, ${removed} records from earlier runs removed`,
+      modelRunId: run._id,
+      periode_analisis: { tahun_mulai: tahunMulai, tahun_selesai: tahunSelesai },
+      diagnostics: model.diagnostics,
+      bandwidthSelection: bandwidthSelection && {
+        criterion,
+        kernel,
+        bandwidthType: bandwidth_type,
+        selected: bandwidthSelection.bandwidth,
+        score: bandwidthSelection.score,
+        curve: bandwidthSelection.curve
+      },
+      significance: {
+        alpha: Number(alpha),
+        correction,
+        adjustedAlpha: significance.adjustedAlpha,
+        groups: significance.groups
+      },
+      data: results,
+      removed,
+      skipped
+    });
+  } catch (error) {
+    console.error('Error running GWPR:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to run GWPR',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Predict prevalence of undernourishment for hypothetical independent variable values
+ * using a province's stored local GWPR coefficients
+ */
+export const predictGWPR = asyncHandler(async (req, res) => {
+  const { provinceId, tahun, gwprId, values = {}, changes = {} } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(provinceId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Valid provinceId is required'
+    });
+  }
+
+  if (gwprId && !mongoose.Types.ObjectId.isValid(gwprId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid gwprId format'
+    });
+  }
+
+  const requested = [...Object.keys(values), ...Object.keys(changes)];
+  const invalidVariables = requested.filter(name => !INDEPENDENT_VARIABLES.includes(name));
+
+  if (requested.length === 0 || invalidVariables.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: requested.length === 0
+        ? 'Provide hypothetical values or changes for at least one independent variable'
+        : `Invalid variables: ${invalidVariables.join(', ')}`,
+      availableVariables: INDEPENDENT_VARIABLES
+    });
+  }
+
+  const nonNumeric = requested.filter(name => !Number.isFinite(Number(values[name] ?? changes[name])));
+  if (nonNumeric.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Values must be numbers: ${nonNumeric.join(', ')}`
+    });
+  }
+
+  const province = await Province.findById(provinceId);
+  if (!province) {
+    return res.status(404).json({
+      success: false,
+      message: 'Province not found'
+    });
+  }
+
+  // Use the requested GWPR record, otherwise the most recently fitted one for this province
+  const gwprQuery = gwprId
+    ? { _id: gwprId, provinceId }
+    : { provinceId, koefisien_regresi: { $exists: true } };
+  const gwpr = await GWPR.findOne(gwprQuery).sort({ updatedAt: -1 });
+
+  if (!gwpr || !gwpr.koefisien_regresi) {
+    return res.status(404).json({
+      success: false,
+      message: `No GWPR coefficients found for ${province.name}`
+    });
+  }
+
+  const foodSecurityQuery = { provinsi: province.name };
+  if (tahun) foodSecurityQuery.tahun = parseInt(tahun, 10);
+  const current = await FoodSecurity.findOne(foodSecurityQuery).sort({ tahun: -1 });
+
+  if (!current) {
+    return res.status(404).json({
+      success: false,
+      message: tahun
+        ? `No food security data found for ${province.name} in ${tahun}`
+        : `No food security data found for ${province.name}`
+    });
+  }
+
+  const baseline = {
+    y: current.dependent_variable.prevalence_of_undernourishment,
+    x: {}
+  };
+  INDEPENDENT_VARIABLES.forEach(name => {
+    baseline.x[name] = current.independent_variables[name];
+  });
+
+  // Absolute values win over changes when both are given for a variable
+  const scenario = {};
+  Object.entries(changes).forEach(([name, delta]) => {
+    scenario[name] = baseline.x[name] + Number(delta);
+  });
+  Object.entries(values).forEach(([name, value]) => {
+    scenario[name] = Number(value);
+  });
+
+  const coefficients = gwpr.koefisien_regresi.toObject ? gwpr.koefisien_regresi.toObject() : gwpr.koefisien_regresi;
+  const prediction = predictScenario(coefficients, baseline, scenario);
+  const warnings = [];
+
+  const missingCoefficients = Object.keys(scenario).filter(name => coefficients[name] === undefined);
+  if (missingCoefficients.length > 0) {
+    warnings.push(`No coefficient stored for: ${missingCoefficients.join(', ')}; their effect is treated as zero`);
+  }
+
+  let predicted = prediction.predicted;
+  if (predicted < 0 || predicted > 100) {
+    warnings.push('Prediction fell outside 0-100% and was clamped; the scenario is far outside the observed data');
+    predicted = Math.min(100, Math.max(0, predicted));
+  }
+
+  res.status(200).json({
+    success: true,
+    province: {
+      id: province._id,
+      name: province.name,
+      code: province.code
+    },
+    model: {
+      gwprId: gwpr._id,
+      kelompok: gwpr.kelompok,
+      periode_analisis: gwpr.periode_analisis,
+      variabel_signifikan: gwpr.variabel_signifikan
+    },
+    baseline: {
+      tahun: current.tahun,
+      prevalence_of_undernourishment: baseline.y,
+      independent_variables: baseline.x
+    },
+    prediction: {
+      prevalence_of_undernourishment: predicted,
+      change: predicted - baseline.y,
+      contributions: prediction.contributions
+    },
+    warnings
+  });
+});
+
+// Validation message for a bandwidth given in the query, or null when it is usable.
+// Adaptive bandwidths index the sorted neighbour distances, so they must be whole numbers.
+const getBandwidthError = (bandwidth, bandwidthType) => {
+  if (bandwidth === undefined) return null;
+  const value = Number(bandwidth);
+
+  if (bandwidthType === 'adaptive') {
+    return Number.isInteger(value) && value > 0
+      ? null
+      : 'bandwidth must be a positive integer number of neighbours for an adaptive bandwidth';
+  }
+
+  return Number.isFinite(value) && value > 0 ? null : 'bandwidth (in kilometres) must be a positive number';
+};
+
+/**
+ * GWPR settings for analyses that refit the model: the bandwidth from the query,
+ * then the settings stored on GWPR records for the period, then AICc selection
+ */
+const resolveGWPRSettings = async ({ provinces, tahunMulai, tahunSelesai, bandwidth, bandwidth_type, kernel }) => {
+  if (bandwidth !== undefined) {
+    return {
+      source: 'query',
+      bandwidth: Number(bandwidth),
+      bandwidthType: bandwidth_type || 'fixed',
+      kernel: kernel || 'gaussian'
+    };
+  }
+
+  const stored = await GWPR.findOne({
+    'periode_analisis.tahun_mulai': tahunMulai,
+    'periode_analisis.tahun_selesai': tahunSelesai,
+    bandwidth: { $gt: 0 }
+  }).sort({ updatedAt: -1 });
+
+  if (stored && (!kernel || stored.kernel === kernel) && (!bandwidth_type || stored.bandwidth_type === bandwidth_type)) {
+    return {
+      source: 'stored',
+      bandwidth: stored.bandwidth,
+      bandwidthType: stored.bandwidth_type || 'fixed',
+      kernel: stored.kernel || 'gaussian'
+    };
+  }
+
+  const bandwidthType = bandwidth_type || 'fixed';
+  const selectedKernel = kernel || 'gaussian';
+  const selection = selectGWPRBandwidth({
+    provinces,
+    kernel: selectedKernel,
+    adaptive: bandwidthType === 'adaptive',
+    criterion: 'aicc'
+  });
+
+  return {
+    source: 'selected',
+    bandwidth: selection.bandwidth,
+    bandwidthType,
+    kernel: selectedKernel
+  };
+};
+
+/**
+ * Compare fixed-effects OLS, GWPR and a spatial lag model on the same FoodSecurity panel.
+ * All three are fitted on the within-transformed data so R², RMSE and AICc are comparable;
+ * GWPR reuses the bandwidth stored for the period unless one is given, otherwise it is selected by AICc.
+ */
+export const compareGWPRModels = asyncHandler(async (req, res) => {
+  const {
+    tahun_mulai = 2018,
+    tahun_selesai = 2023,
+    bandwidth,
+    bandwidth_type,
+    kernel,
+    weights = 'sar',
+    permutations = 999
+  } = req.query;
+  const tahunMulai = parseInt(tahun_mulai, 10);
+  const tahunSelesai = parseInt(tahun_selesai, 10);
+  const permutationCount = parseInt(permutations, 10);
+
+  if (isNaN(tahunMulai) || isNaN(tahunSelesai) || tahunMulai < 2000 || tahunSelesai > 2100 || tahunMulai >= tahunSelesai) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid period. tahun_mulai must be before tahun_selesai, both between 2000 and 2100'
+    });
+  }
+
+  if (bandwidth_type !== undefined && !['fixed', 'adaptive'].includes(bandwidth_type)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid bandwidth_type. Supported types: fixed, adaptive'
+    });
+  }
+
+  if (kernel !== undefined && !Object.keys(KERNELS).includes(kernel)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid kernel. Supported kernels: ${Object.keys(KERNELS).join(', ')}`
+    });
+  }
+
+  const bandwidthError = getBandwidthError(bandwidth, bandwidth_type);
+  if (bandwidthError) {
+    return res.status(400).json({
+      success: false,
+      message: bandwidthError
+    });
+  }
+
+  if (!WEIGHT_METHODS.includes(weights)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid weights. Supported methods: ${WEIGHT_METHODS.join(', ')}`
+    });
+  }
+
+  if (isNaN(permutationCount) || permutationCount < 99 || permutationCount > 9999) {
+    return res.status(400).json({
+      success: false,
+      message: 'permutations must be between 99 and 9999'
+    });
+  }
+
+  try {
+    const panel = await loadFoodSecurityPanel(tahunMulai, tahunSelesai);
+    const provinces = panel.provinces.filter(province => province.records.length >= 2);
+    const skipped = [
+      ...panel.skipped,
+      ...panel.provinces
+        .filter(province => province.records.length < 2)
+        .map(province => ({ provinsi: province.name, reason: 'Less than two years of data' }))
+    ];
+
+    if (provinces.length <= INDEPENDENT_VARIABLES.length) {
+      return res.status(422).json({
+        success: false,
+        message: `Not enough provinces with food security data between ${tahunMulai} and ${tahunSelesai} to compare models`,
+        skipped
+      });
+    }
+
+    const design = buildWithinDesign(provinces);
+    const n = design.y.length;
+    const k = INDEPENDENT_VARIABLES.length;
+    const observations = provinces.flatMap((province, p) =>
+      province.records.map(record => ({ p, tahun: record.tahun }))
+    );
+    const totalSS = design.y.reduce((sum, value) => sum + value * value, 0);
+    const fitStatistics = (residuals) => {
+      const rss = residuals.reduce((sum, value) => sum + value * value, 0);
+      return {
+        residualSumOfSquares: rss,
+        rSquared: totalSS > 0 ? 1 - rss / totalSS : null,
+        rmse: Math.sqrt(rss / n)
+      };
+    };
+
+    const gwprSettings = await resolveGWPRSettings({
+      provinces,
+      tahunMulai,
+      tahunSelesai,
+      bandwidth,
+      bandwidth_type,
+      kernel
+    });
+
+    const ols = fitOLS(design.X, design.y);
+    const gwpr = fitGWPR({
+      provinces,
+      bandwidth: gwprSettings.bandwidth,
+      kernel: gwprSettings.kernel,
+      adaptive: gwprSettings.bandwidthType === 'adaptive'
+    });
+
+    const { W: provinceWeights, islands } = await loadProvinceWeights(provinces, { method: weights, style: 'binary' });
+    const W = buildPanelWeights(provinceWeights, observations);
+    const lag = fitSpatialLag(design.X, design.y, W);
+
+    const residualsByModel = {
+      ols: ols.residuals,
+      gwpr: gwpr.residuals,
+      spatialLag: lag.residuals
+    };
+
+    const models = [
+      {
+        model: 'OLS',
+        key: 'ols',
+        aicc: computeAICcFromLogLikelihood(ols.logLikelihood, k + 1, n),
+        effectiveParameters: k
+      },
+      {
+        model: 'GWPR',
+        key: 'gwpr',
+        aicc: gwpr.diagnostics.aicc,
+        effectiveParameters: gwpr.diagnostics.effectiveParameters
+      },
+      {
+        model: 'Spatial lag',
+        key: 'spatialLag',
+        aicc: computeAICcFromLogLikelihood(lag.logLikelihood, k + 2, n),
+        effectiveParameters: k + 1,
+        rho: lag.rho
+      }
+    ].map(({ key, ...entry }, index) => {
+      const residualMoran = globalMoran(residualsByModel[key], W, { permutations: permutationCount, seed: 42 + index });
+      return {
+        ...entry,
+        ...fitStatistics(residualsByModel[key]),
+        residualMoranI: {
+          I: residualMoran.I,
+          zScore: residualMoran.zScore,
+          pValue: residualMoran.pValue
+        }
+      };
+    });
+
+    const ranked = models.filter(entry => entry.aicc !== null).sort((a, b) => a.aicc - b.aicc);
+
+    // Residual map: mean residual over the period per province, plus the yearly residuals
+    const provinceDocs = await Province.find(
+      { _id: { $in: provinces.map(province => province.provinceId) } },
+      'name code geoData'
+    );
+    const docById = Object.fromEntries(provinceDocs.map(doc => [doc._id.toString(), doc]));
+    const features = provinces
+      .map((province, p) => ({ province, p, doc: docById[province.provinceId.toString()] }))
+      .filter(({ doc }) => doc && doc.geoData)
+      .map(({ province, p, doc }) => {
+        const indices = observations.map((observation, j) => (observation.p === p ? j : -1)).filter(j => j !== -1);
+        const residuals = {};
+        const residualsByYear = {};
+        Object.entries(residualsByModel).forEach(([key, values]) => {
+          residuals[key] = indices.reduce((sum, j) => sum + values[j], 0) / indices.length;
+          residualsByYear[key] = Object.fromEntries(indices.map(j => [observations[j].tahun, values[j]]));
+        });
+
+        return {
+          type: "Feature",
+          properties: {
+            provinceId: doc._id,
+            provinceName: doc.name,
+            provinceCode: doc.code,
+            observations: province.records.length,
+            residuals,
+            residualsByYear
+          },
+          geometry: doc.geoData.geometry
+        };
+      });
+
+    const run = await recordModelRun({
+      modelType: 'regression',
+      method: 'comparison',
+      inputFilter: { tahun_mulai: tahunMulai, tahun_selesai: tahunSelesai },
+      parameters: { gwpr: gwprSettings, weights, permutations: permutationCount },
+      metrics: Object.fromEntries(models.map(entry => [entry.model, {
+        aicc: entry.aicc,
+        rSquared: entry.rSquared,
+        rmse: entry.rmse,
+        residualMoranI: entry.residualMoranI.I
+      }]))
+    }, req.user);
+
+    return res.status(200).json({
+      success: true,
+      modelRunId: run?._id ?? null,
+      periode_analisis: { tahun_mulai: tahunMulai, tahun_selesai: tahunSelesai },
+      observations: n,
+      provinces: provinces.length,
+      gwpr: gwprSettings,
+      weights: { method: weights, islands },
+      bestModel: ranked.length > 0 ? ranked[0].model : null,
+      data: models,
+      residualMap: {
+        type: "FeatureCollection",
+        features,
+        metadata: {
+          periode_analisis: { tahun_mulai: tahunMulai, tahun_selesai: tahunSelesai },
+          totalProvinces: features.length,
+          dataType: 'model_residuals'
+        }
+      },
+      skipped
+    });
+  } catch (error) {
+    console.error('Error comparing models:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to compare models',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Leave-one-province-out (or leave-one-year-out) cross-validation of GWPR and fixed-effects OLS.
+ * Per-province out-of-sample errors are set against the in-sample errors of the coefficients
+ * stored in GWPR.koefisien_regresi, to show where those coefficients do not generalize.
+ */
+export const crossValidateGWPR = asyncHandler(async (req, res) => {
+  const {
+    tahun_mulai = 2018,
+    tahun_selesai = 2023,
+    holdout = 'province',
+    model = 'both',
+    bandwidth,
+    bandwidth_type,
+    kernel
+  } = req.query;
+  const tahunMulai = parseInt(tahun_mulai, 10);
+  const tahunSelesai = parseInt(tahun_selesai, 10);
+  const models = model === 'both' ? ['gwpr', 'ols'] : [model];
+
+  if (isNaN(tahunMulai) || isNaN(tahunSelesai) || tahunMulai < 2000 || tahunSelesai > 2100 || tahunMulai >= tahunSelesai) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid period. tahun_mulai must be before tahun_selesai, both between 2000 and 2100'
+    });
+  }
+
+  if (!CV_HOLDOUTS.includes(holdout)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid holdout. Supported values: ${CV_HOLDOUTS.join(', ')}`
+    });
+  }
+
+  if (!models.every(name => ['gwpr', 'ols'].includes(name))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid model. Supported models: gwpr, ols, both'
+    });
+  }
+
+  if (bandwidth_type !== undefined && !['fixed', 'adaptive'].includes(bandwidth_type)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid bandwidth_type. Supported types: fixed, adaptive'
+    });
+  }
+
+  if (kernel !== undefined && !Object.keys(KERNELS).includes(kernel)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid kernel. Supported kernels: ${Object.keys(KERNELS).join(', ')}`
+    });
+  }
+
+  const bandwidthError = getBandwidthError(bandwidth, bandwidth_type);
+  if (bandwidthError) {
+    return res.status(400).json({
+      success: false,
+      message: bandwidthError
+    });
+  }
+
+  try {
+    const panel = await loadFoodSecurityPanel(tahunMulai, tahunSelesai);
+    // Leaving a year out still needs two training years per province
+    const minimumYears = holdout === 'year' ? 3 : 2;
+    const provinces = panel.provinces.filter(province => province.records.length >= minimumYears);
+    const skipped = [
+      ...panel.skipped,
+      ...panel.provinces
+        .filter(province => province.records.length < minimumYears)
+        .map(province => ({ provinsi: province.name, reason: `Less than ${minimumYears} years of data` }))
+    ];
+
+    if (provinces.length <= INDEPENDENT_VARIABLES.length + 1) {
+      return res.status(422).json({
+        success: false,
+        message: `Not enough provinces with food security data between ${tahunMulai} and ${tahunSelesai} to cross-validate`,
+        skipped
+      });
+    }
+
+    const gwprSettings = models.includes('gwpr')
+      ? await resolveGWPRSettings({ provinces, tahunMulai, tahunSelesai, bandwidth, bandwidth_type, kernel })
+      : null;
+
+    const summarize = (errors) => ({
+      observations: errors.length,
+      rmse: errors.length > 0 ? Math.sqrt(errors.reduce((sum, e) => sum + e * e, 0) / errors.length) : null,
+      mae: errors.length > 0 ? errors.reduce((sum, e) => sum + Math.abs(e), 0) / errors.length : null
+    });
+
+    const predictionsByModel = {};
+    models.forEach(name => {
+      predictionsByModel[name] = crossValidatePanel({
+        provinces,
+        holdout,
+        model: name,
+        bandwidth: gwprSettings?.bandwidth,
+        kernel: gwprSettings?.kernel,
+        adaptive: gwprSettings?.bandwidthType === 'adaptive'
+      });
+    });
+
+    // In-sample errors of the stored local coefficients, on the same within transformation
+    const storedRecords = await GWPR.find({
+      provinceId: { $in: provinces.map(province => province.provinceId) },
+      'periode_analisis.tahun_mulai': tahunMulai,
+      'periode_analisis.tahun_selesai': tahunSelesai,
+      koefisien_regresi: { $exists: true }
+    }).sort({ updatedAt: -1 });
+    const storedByProvince = {};
+    storedRecords.forEach(record => {
+      const key = record.provinceId.toString();
+      if (!storedByProvince[key]) storedByProvince[key] = record.koefisien_regresi;
+    });
+
+    const provinceSummaries = provinces.map(province => {
+      const key = province.provinceId.toString();
+      const summary = {
+        provinceId: province.provinceId,
+        provinsi: province.name,
+        observations: province.records.length
+      };
+
+      models.forEach(name => {
+        summary[name] = summarize(predictionsByModel[name]
+          .filter(prediction => prediction.provinceId.toString() === key)
+          .map(prediction => prediction.error));
+      });
+
+      const coefficients = storedByProvince[key];
+      if (coefficients && INDEPENDENT_VARIABLES.every(name => typeof coefficients[name] === 'number')) {
+        const T = province.records.length;
+        const yMean = province.records.reduce((sum, r) => sum + r.y, 0) / T;
+        const xMean = INDEPENDENT_VARIABLES.map((_, j) => province.records.reduce((sum, r) => sum + r.x[j], 0) / T);
+        const inSample = summarize(province.records.map(record => record.y - yMean -
+          INDEPENDENT_VARIABLES.reduce((sum, name, j) => sum + coefficients[name] * (record.x[j] - xMean[j]), 0)));
+
+        summary.storedCoefficients = {
+          inSampleRmse: inSample.rmse,
+          inSampleMae: inSample.mae,
+          // How much worse the held-out GWPR predictions are than the stored in-sample fit
+          rmseRatio: summary.gwpr?.rmse !== undefined && inSample.rmse > 0 ? summary.gwpr.rmse / inSample.rmse : null
+        };
+      } else {
+        summary.storedCoefficients = null;
+      }
+
+      return summary;
+    });
+
+    const [primary] = models;
+    provinceSummaries.sort((a, b) => (b[primary].rmse ?? 0) - (a[primary].rmse ?? 0));
+
+    const overall = Object.fromEntries(models.map(name => [
+      name,
+      summarize(predictionsByModel[name].map(prediction => prediction.error))
+    ]));
+
+    const run = await recordModelRun({
+      modelType: 'regression',
+      method: `cv-${holdout}`,
+      inputFilter: { tahun_mulai: tahunMulai, tahun_selesai: tahunSelesai },
+      parameters: { holdout, models, gwpr: gwprSettings },
+      metrics: overall
+    }, req.user);
+
+    return res.status(200).json({
+      success: true,
+      modelRunId: run?._id ?? null,
+      periode_analisis: { tahun_mulai: tahunMulai, tahun_selesai: tahunSelesai },
+      holdout,
+      gwpr: gwprSettings,
+      overall,
+      provinces: provinceSummaries,
+      predictions: predictionsByModel,
+      skipped
+    });
+  } catch (error) {
+    console.error('Error cross-validating models:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to cross-validate models',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Multicollinearity diagnostics for the eight food security independent variables:
+ * correlation matrix, VIFs and condition number for one year (cross-section) or pooled
+ * over a period. For a period, local VIFs per province are computed from the GWPR kernel
+ * weights on the within-transformed panel, since that is what each local regression fits.
+ */
+export const getCollinearityDiagnostics = asyncHandler(async (req, res) => {
+  const { tahun, tahun_mulai = 2018, tahun_selesai = 2023, bandwidth, bandwidth_type, kernel } = req.query;
+  const singleYear = tahun !== undefined;
+  const tahunMulai = singleYear ? parseInt(tahun, 10) : parseInt(tahun_mulai, 10);
+  const tahunSelesai = singleYear ? tahunMulai : parseInt(tahun_selesai, 10);
+
+  if (isNaN(tahunMulai) || isNaN(tahunSelesai) || tahunMulai < 2000 || tahunSelesai > 2100 || tahunMulai > tahunSelesai) {
+    return res.status(400).json({
+      success: false,
+      message: singleYear
+        ? 'Invalid tahun. Must be between 2000 and 2100'
+        : 'Invalid period. tahun_mulai must not be after tahun_selesai, both between 2000 and 2100'
+    });
+  }
+
+  if (bandwidth_type !== undefined && !['fixed', 'adaptive'].includes(bandwidth_type)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid bandwidth_type. Supported types: fixed, adaptive'
+    });
+  }
+
+  if (kernel !== undefined && !Object.keys(KERNELS).includes(kernel)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid kernel. Supported kernels: ${Object.keys(KERNELS).join(', ')}`
+    });
+  }
+
+  const bandwidthError = getBandwidthError(bandwidth, bandwidth_type);
+  if (bandwidthError) {
+    return res.status(400).json({
+      success: false,
+      message: bandwidthError
+    });
+  }
+
+  try {
+    const panel = await loadFoodSecurityPanel(tahunMulai, tahunSelesai);
+    const rows = panel.provinces.flatMap(province => province.records.map(record => record.x));
+
+    if (rows.length <= INDEPENDENT_VARIABLES.length) {
+      return res.status(422).json({
+        success: false,
+        message: `Not enough complete food security records between ${tahunMulai} and ${tahunSelesai}`,
+        skipped: panel.skipped
+      });
+    }
+
+    const correlation = correlationMatrix(rows);
+    const { vif, conditionNumber } = collinearityFromCorrelation(correlation);
+    const warnings = collinearityWarnings({ variables: INDEPENDENT_VARIABLES, correlation, vif, conditionNumber });
+
+    let local = null;
+    let gwprSettings = null;
+
+    if (!singleYear) {
+      const provinces = panel.provinces.filter(province => province.records.length >= 2);
+      gwprSettings = await resolveGWPRSettings({ provinces, tahunMulai, tahunSelesai, bandwidth, bandwidth_type, kernel });
+
+      local = localCollinearity({
+        provinces,
+        bandwidth: gwprSettings.bandwidth,
+        kernel: gwprSettings.kernel,
+        adaptive: gwprSettings.bandwidthType === 'adaptive'
+      }).map((diagnostics, i) => {
+        const highVif = INDEPENDENT_VARIABLES.filter((_, j) => diagnostics.vif[j] === null || diagnostics.vif[j] >= VIF_WARNING);
+        return {
+          provinceId: provinces[i].provinceId,
+          provinsi: provinces[i].name,
+          vif: Object.fromEntries(INDEPENDENT_VARIABLES.map((name, j) => [name, diagnostics.vif[j]])),
+          conditionNumber: diagnostics.conditionNumber,
+          highVif,
+          warning: highVif.length > 0 || diagnostics.conditionNumber === null || diagnostics.conditionNumber >= CONDITION_NUMBER_WARNING
+        };
+      });
+
+      const flagged = local.filter(province => province.warning);
+      if (flagged.length > 0) {
+        warnings.push(`Local multicollinearity in ${flagged.length} province(s): ${flagged.map(province => province.provinsi).join(', ')}`);
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        periode_analisis: singleYear ? { tahun: tahunMulai } : { tahun_mulai: tahunMulai, tahun_selesai: tahunSelesai },
+        observations: rows.length,
+        variables: INDEPENDENT_VARIABLES,
+        correlation: Object.fromEntries(INDEPENDENT_VARIABLES.map((a, i) => [
+          a,
+          Object.fromEntries(INDEPENDENT_VARIABLES.map((b, j) => [b, correlation[i][j]]))
+        ])),
+        vif: Object.fromEntries(INDEPENDENT_VARIABLES.map((name, j) => [name, vif[j]])),
+        conditionNumber,
+        thresholds: { vif: VIF_WARNING, conditionNumber: CONDITION_NUMBER_WARNING, correlation: CORRELATION_WARNING },
+        gwpr: gwprSettings,
+        local,
+        warnings
+      },
+      skipped: panel.skipped
+    });
+  } catch (error) {
+    console.error('Error computing collinearity diagnostics:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to compute collinearity diagnostics',
+      error: error.message
+    });
+  }
+});
@@ -4,10 +4,19 @@ import FoodSecurity from '../models/foodsecurity.model.js';
 import SupplyChain from '../models/supplychain.model.js';
 import ProvinceConnection from '../models/provinceConnection.model.js';
 import asyncHandler from '../utils/asyncHandler.js';
+import { DEPENDENT_VARIABLE, INDEPENDENT_VARIABLES } from '../utils/foodSecurityData.js';
+import { loadProvinceWeights, WEIGHT_METHODS, WEIGHT_STYLES } from '../utils/spatialWeights.js';
+import { globalMoran, localMoran, getisOrdGiStar } from '../utils/spatialAutocorrelation.js';
+import { loadClimateSeries } from '../utils/climateData.js';
+import { evaluateProvinceAnomalies, ANOMALY_VARIABLES, DEFAULT_Z_THRESHOLD } from '../utils/climateAnomaly.js';
+import { computeSPI, SPI_SCALES } from '../utils/spi.js';
+
+const SPATIAL_VARIABLES = [DEPENDENT_VARIABLE, ...INDEPENDENT_VARIABLES];
+const HOT_SPOT_VARIABLES = [DEPENDENT_VARIABLE, 'rice_balance'];
 
 /**
  * Get map data with flexible type and year filtering
- * Query params: year, type (base, food-security, supply-chain, connections, combined)
+ * Query params: year, type (base, food-security, supply-chain, connections, combined, hot-spot, climate-anomaly, spi)
  */
 export const getMapData = asyncHandler(async (req, res) => {
   const { year, type = 'base' } = req.query;
@@ -46,10 +55,16 @@ export const getMapData = asyncHandler(async (req, res) => {
       return getConnectionsMapData(modifiedReq, res);
     case 'combined':
       return getCombinedMapData(modifiedReq, res);
+    case 'hot-spot':
+      return getHotSpotMapData(modifiedReq, res);
+    case 'climate-anomaly':
+      return getClimateAnomalyMapData(modifiedReq, res);
+    case 'spi':
+      return getSPIMapData(modifiedReq, res);
     default:
       return res.status(400).json({
         success: false,
-        message: 'Invalid data type. Supported types: base, food-security, supply-chain, connections, combined'
+        message: 'Invalid data type. Supported types: base, food-security, supply-chain, connections, combined, hot-spot, climate-anomaly, spi'
       });
   }
 });
@@ -679,3 +694,502 @@ export const getCombinedMapData = asyncHandler(async (req, res) => {
     });
   }
 });
+
+/**
+ * Global Moran's I and LISA cluster/outlier map for a food security variable
+ * Query params: year, variable, weights (sar, queen, rook, knn, inverse_distance), style, k, permutations, alpha
+ */
+export const getMoranMapData = asyncHandler(async (req, res) => {
+  const {
+    year,
+    variable = DEPENDENT_VARIABLE,
+    weights = 'sar',
+    style = 'row',
+    k = 4,
+    permutations = 999,
+    alpha = 0.05
+  } = req.query;
+
+  const yearInt = parseInt(year, 10);
+  if (isNaN(yearInt) || yearInt < 2000 || yearInt > 2100) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid year. Year must be between 2000 and 2100'
+    });
+  }
+
+  if (!SPATIAL_VARIABLES.includes(variable)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid variable. Supported variables: ${SPATIAL_VARIABLES.join(', ')}`
+    });
+  }
+
+  if (!WEIGHT_METHODS.includes(weights) || !WEIGHT_STYLES.includes(style)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid weights. Supported methods: ${WEIGHT_METHODS.join(', ')}; styles: ${WEIGHT_STYLES.join(', ')}`
+    });
+  }
+
+  const permutationCount = parseInt(permutations, 10);
+  const alphaValue = Number(alpha);
+  if (isNaN(permutationCount) || permutationCount < 99 || permutationCount > 9999 ||
+      !Number.isFinite(alphaValue) || alphaValue <= 0 || alphaValue >= 1) {
+    return res.status(400).json({
+      success: false,
+      message: 'permutations must be between 99 and 9999 and alpha between 0 and 1'
+    });
+  }
+
+  try {
+    const [foodSecurityData, provinces] = await Promise.all([
+      FoodSecurity.find({ tahun: yearInt }),
+      Province.find({ geoData: { $exists: true, $ne: null } }, 'name code geoData')
+    ]);
+
+    const valueByProvince = {};
+    foodSecurityData.forEach(item => {
+      const value = variable === DEPENDENT_VARIABLE
+        ? item.dependent_variable?.[variable]
+        : item.independent_variables?.[variable];
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        valueByProvince[item.provinsi] = value;
+      }
+    });
+
+    const observed = provinces.filter(province => valueByProvince[province.name] !== undefined);
+    if (observed.length < 3) {
+      return res.status(404).json({
+        success: false,
+        message: `Not enough ${variable} data found for year ${yearInt}`,
+        year: yearInt
+      });
+    }
+
+    const values = observed.map(province => valueByProvince[province.name]);
+    const { W, islands } = await loadProvinceWeights(
+      observed.map(province => ({ provinceId: province._id, name: province.name })),
+      { method: weights, style, k: Number(k) }
+    );
+
+    const options = { permutations: permutationCount, alpha: alphaValue };
+    const global = globalMoran(values, W, options);
+    const local = localMoran(values, W, options);
+
+    const features = observed.map((province, i) => ({
+      type: "Feature",
+      properties: {
+        provinceId: province._id,
+        provinceName: province.name,
+        provinceCode: province.code,
+        year: yearInt,
+        variable,
+        value: values[i],
+        standardizedValue: local[i].zValue,
+        spatialLag: local[i].spatialLag,
+        localMoranI: local[i].localI,
+        pValue: local[i].pValue,
+        lisaCluster: local[i].cluster
+      },
+      geometry: province.geoData.geometry
+    }));
+
+    const clusterCounts = {};
+    local.forEach(({ cluster }) => {
+      clusterCounts[cluster] = (clusterCounts[cluster] || 0) + 1;
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        type: "FeatureCollection",
+        features,
+        metadata: {
+          year: yearInt,
+          totalProvinces: features.length,
+          dataType: 'lisa',
+          variable,
+          weights: { method: weights, style, islands },
+          alpha: alphaValue,
+          globalMoran: global,
+          clusterCounts
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error computing Moran\'s I map data:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error computing Moran\'s I map data',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Getis-Ord Gi* hot/cold spot map for prevalence of undernourishment or the rice balance
+ * (SupplyChain produksiBeras - konsumsiBeras)
+ * Query params: variable (prevalence_of_undernourishment, rice_balance), weights, k
+ */
+export const getHotSpotMapData = asyncHandler(async (req, res) => {
+  const { year } = req.params;
+  const { variable = DEPENDENT_VARIABLE, weights = 'sar', k = 4 } = req.query;
+
+  const yearInt = parseInt(year, 10);
+  if (isNaN(yearInt) || yearInt < 2000 || yearInt > 2100) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid year. Year must be between 2000 and 2100'
+    });
+  }
+
+  if (!HOT_SPOT_VARIABLES.includes(variable)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid variable. Supported variables: ${HOT_SPOT_VARIABLES.join(', ')}`
+    });
+  }
+
+  if (!WEIGHT_METHODS.includes(weights)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid weights. Supported methods: ${WEIGHT_METHODS.join(', ')}`
+    });
+  }
+
+  try {
+    const provinces = await Province.find(
+      { geoData: { $exists: true, $ne: null } },
+      'name code geoData'
+    );
+
+    // Province name -> { value, extra feature properties }
+    const dataByProvince = {};
+    if (variable === 'rice_balance') {
+      const supplyChainData = await SupplyChain.find({ tahun: yearInt });
+      supplyChainData.forEach(item => {
+        const production = item.produksiBeras || 0;
+        const consumption = item.konsumsiBeras || 0;
+        dataByProvince[item.provinsi] = {
+          value: production - consumption,
+          properties: { produksiBeras: production, konsumsiBeras: consumption }
+        };
+      });
+    } else {
+      const foodSecurityData = await FoodSecurity.find({ tahun: yearInt });
+      foodSecurityData.forEach(item => {
+        const value = item.dependent_variable?.[DEPENDENT_VARIABLE];
+        if (typeof value === 'number' && Number.isFinite(value)) {
+          dataByProvince[item.provinsi] = { value, properties: {} };
+        }
+      });
+    }
+
+    const observed = provinces.filter(province => dataByProvince[province.name]);
+    if (observed.length < 3) {
+      return res.status(404).json({
+        success: false,
+        message: `Not enough ${variable} data found for year ${yearInt}`,
+        year: yearInt
+      });
+    }
+
+    const { W, islands } = await loadProvinceWeights(
+      observed.map(province => ({ provinceId: province._id, name: province.name })),
+      { method: weights, style: 'binary', k: Number(k) }
+    );
+
+    // Gi* counts each province in its own neighbourhood; for inverse distance it gets the row's largest weight
+    W.forEach((row, i) => {
+      row[i] = weights === 'inverse_distance' ? Math.max(1e-12, ...row) : 1;
+    });
+
+    // A province without neighbours would only be scored on its own standardized value,
+    // which says nothing about clustering, so it is reported as unscored
+    const isolated = new Set(islands);
+    const values = observed.map(province => dataByProvince[province.name].value);
+    const giStar = getisOrdGiStar(values, W).map((result, i) => (isolated.has(observed[i].name)
+      ? { zScore: null, pValue: null, bin: 0, category: 'No Neighbours' }
+      : result));
+
+    const features = observed.map((province, i) => ({
+      type: "Feature",
+      properties: {
+        provinceId: province._id,
+        provinceName: province.name,
+        provinceCode: province.code,
+        year: yearInt,
+        variable,
+        value: values[i],
+        ...dataByProvince[province.name].properties,
+        giZScore: giStar[i].zScore,
+        pValue: giStar[i].pValue,
+        giBin: giStar[i].bin,
+        hotSpotCategory: giStar[i].category
+      },
+      geometry: province.geoData.geometry
+    }));
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        type: "FeatureCollection",
+        features,
+        metadata: {
+          year: yearInt,
+          totalProvinces: features.length,
+          dataType: 'hot_spot',
+          variable,
+          weights: { method: weights, islands },
+          hotSpots: giStar.filter(item => item.bin > 0).length,
+          coldSpots: giStar.filter(item => item.bin < 0).length,
+          unscored: isolated.size
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error computing hot spot map data:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error computing hot spot map data',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Climate anomaly map: z-scores against each province's monthly climatology.
+ * With `bulan` every province shows that month's z-score; without it, the number of
+ * anomalous months in the year and the largest |z|.
+ * Query params: variable (curah_hujan, suhu_udara, kelembaban_permukaan_tanah, kelembaban_zona_akar),
+ * bulan, z, baseline_mulai, baseline_selesai
+ */
+export const getClimateAnomalyMapData = asyncHandler(async (req, res) => {
+  const { year } = req.params;
+  const { variable = 'curah_hujan', bulan, baseline_mulai, baseline_selesai } = req.query;
+  const threshold = req.query.z !== undefined ? Number(req.query.z) : DEFAULT_Z_THRESHOLD;
+  const bulanInt = bulan !== undefined ? parseInt(bulan, 10) : undefined;
+
+  const yearInt = parseInt(year, 10);
+  if (isNaN(yearInt) || yearInt < 2000 || yearInt > 2100) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid year. Year must be between 2000 and 2100'
+    });
+  }
+
+  if (!ANOMALY_VARIABLES.includes(variable)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid variable. Supported variables: ${ANOMALY_VARIABLES.join(', ')}`
+    });
+  }
+
+  if (bulanInt !== undefined && (isNaN(bulanInt) || bulanInt < 1 || bulanInt > 12)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid bulan. Month must be between 1 and 12'
+    });
+  }
+
+  if (!(threshold > 0)) {
+    return res.status(400).json({
+      success: false,
+      message: 'z must be a positive number'
+    });
+  }
+
+  try {
+    const [provinces, climate] = await Promise.all([
+      Province.find({ geoData: { $exists: true, $ne: null } }, 'name code geoData'),
+      loadClimateSeries()
+    ]);
+
+    const seriesById = {};
+    climate.provinces.forEach(province => {
+      seriesById[province.provinceId.toString()] = province;
+    });
+
+    const features = [];
+    provinces.forEach(province => {
+      const series = seriesById[province._id.toString()];
+      if (!series) return;
+
+      const { months, baselineYears } = evaluateProvinceAnomalies(series, {
+        variables: [variable],
+        threshold,
+        baselineStart: baseline_mulai !== undefined ? parseInt(baseline_mulai, 10) : undefined,
+        baselineEnd: baseline_selesai !== undefined ? parseInt(baseline_selesai, 10) : undefined,
+        tahun: yearInt,
+        bulan: bulanInt
+      });
+      if (months.length === 0) return;
+
+      const scored = months.filter(month => month.values[variable].zScore !== null);
+      const flagged = months.filter(month => month.anomalies.length > 0);
+      const properties = {
+        provinceId: province._id,
+        provinceName: province.name,
+        provinceCode: province.code,
+        year: yearInt,
+        variable,
+        baselineYears
+      };
+
+      if (bulanInt !== undefined) {
+        const { value, mean, sd, zScore } = months[0].values[variable];
+        Object.assign(properties, {
+          bulan: bulanInt,
+          value,
+          mean,
+          sd,
+          zScore,
+          anomaly: months[0].anomalies[0]?.direction ?? null
+        });
+      } else {
+        const extreme = scored.reduce((best, month) => (!best ||
+          Math.abs(month.values[variable].zScore) > Math.abs(best.values[variable].zScore) ? month : best), null);
+        Object.assign(properties, {
+          monthsEvaluated: months.length,
+          anomalousMonths: flagged.length,
+          anomalyMonths: flagged.map(month => ({ bulan: month.bulan, zScore: month.anomalies[0].zScore })),
+          maxAbsZScore: extreme ? Math.abs(extreme.values[variable].zScore) : null,
+          maxAbsZScoreBulan: extreme ? extreme.bulan : null
+        });
+      }
+
+      features.push({
+        type: "Feature",
+        properties,
+        geometry: province.geoData.geometry
+      });
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        type: "FeatureCollection",
+        features,
+        metadata: {
+          year: yearInt,
+          bulan: bulanInt ?? null,
+          totalProvinces: features.length,
+          dataType: 'climate_anomaly',
+          variable,
+          threshold,
+          anomalousProvinces: features.filter(feature =>
+            (bulanInt !== undefined ? feature.properties.anomaly !== null : feature.properties.anomalousMonths > 0)).length
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error computing climate anomaly map data:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error computing climate anomaly map data',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * SPI drought choropleth for one month, or each province's latest month in the year
+ * Query params: scale (1, 3, 6), bulan
+ */
+export const getSPIMapData = asyncHandler(async (req, res) => {
+  const { year } = req.params;
+  const { bulan } = req.query;
+  const scale = req.query.scale !== undefined ? Number(req.query.scale) : 3;
+  const bulanInt = bulan !== undefined ? parseInt(bulan, 10) : undefined;
+
+  const yearInt = parseInt(year, 10);
+  if (isNaN(yearInt) || yearInt < 2000 || yearInt > 2100) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid year. Year must be between 2000 and 2100'
+    });
+  }
+
+  if (!SPI_SCALES.includes(scale)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid scale. Supported scales: ${SPI_SCALES.join(', ')}`
+    });
+  }
+
+  if (bulanInt !== undefined && (isNaN(bulanInt) || bulanInt < 1 || bulanInt > 12)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid bulan. Month must be between 1 and 12'
+    });
+  }
+
+  try {
+    const [provinces, climate] = await Promise.all([
+      Province.find({ geoData: { $exists: true, $ne: null } }, 'name code geoData'),
+      loadClimateSeries()
+    ]);
+
+    const seriesById = {};
+    climate.provinces.forEach(province => {
+      seriesById[province.provinceId.toString()] = province;
+    });
+
+    const features = [];
+    provinces.forEach(province => {
+      const series = seriesById[province._id.toString()];
+      if (!series) return;
+
+      const inYear = computeSPI(series.records, scale)
+        .filter(entry => entry.tahun === yearInt && entry.spi !== null && (bulanInt === undefined || entry.bulan === bulanInt));
+      const entry = inYear[inYear.length - 1];
+      if (!entry) return;
+
+      features.push({
+        type: "Feature",
+        properties: {
+          provinceId: province._id,
+          provinceName: province.name,
+          provinceCode: province.code,
+          year: yearInt,
+          bulan: entry.bulan,
+          scale,
+          precipitation: entry.precipitation,
+          spi: entry.spi,
+          category: entry.category,
+          drought: entry.drought
+        },
+        geometry: province.geoData.geometry
+      });
+    });
+
+    const droughtCounts = { moderate: 0, severe: 0, extreme: 0 };
+    features.forEach(feature => {
+      if (feature.properties.drought) droughtCounts[feature.properties.drought]++;
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        type: "FeatureCollection",
+        features,
+        metadata: {
+          year: yearInt,
+          bulan: bulanInt ?? null,
+          totalProvinces: features.length,
+          dataType: 'spi',
+          scale,
+          droughtProvinces: droughtCounts
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error computing SPI map data:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error computing SPI map data',
+      error: error.message
+    });
+  }
+});
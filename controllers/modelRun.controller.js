@@ -0,0 +1,375 @@
+import mongoose from 'mongoose';
+import ModelRun, { MODEL_RUN_TYPES } from '../models/modelRun.model.js';
+import GWPR from '../models/gwpr.model.js';
+import Clustering from '../models/clustering.model.js';
+import Province from '../models/province.model.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import { createModelRun } from '../utils/modelRun.js';
+
+// Model types whose results are persisted per province and can therefore be rolled back
+const RESTORABLE_TYPES = ['gwpr', 'clustering'];
+
+// Per-province fields shown when comparing runs
+const COMPARED_RESULT_FIELDS = {
+  gwpr: ['kelompok', 'variabel_signifikan', 'r_squared'],
+  clustering: ['cluster_id', 'cluster_group']
+};
+
+// GWPR result fields written by runGWPR; fields missing from a snapshot are cleared on rollback
+// so values from a later run (e.g. adjusted_r_squared) do not survive the restore
+const GWPR_RESULT_FIELDS = [
+  'kelompok',
+  'variabel_signifikan',
+  'koefisien_regresi',
+  'nilai_t',
+  'r_squared',
+  'adjusted_r_squared',
+  'bandwidth',
+  'bandwidth_type',
+  'kernel',
+  'bandwidth_criterion'
+];
+
+// Documents a run owns as a whole: one clustering year or one GWPR analysis period
+const getResultScope = (run) => {
+  const filter = run.inputFilter || {};
+
+  if (run.modelType === 'gwpr') {
+    if (filter.tahun_mulai === undefined || filter.tahun_selesai === undefined) return null;
+    return {
+      'periode_analisis.tahun_mulai': filter.tahun_mulai,
+      'periode_analisis.tahun_selesai': filter.tahun_selesai
+    };
+  }
+
+  return filter.tahun === undefined ? null : { tahun: filter.tahun };
+};
+
+const isSameValue = (values) => new Set(values.map(value => JSON.stringify(value ?? null))).size <= 1;
+
+/**
+ * Get model runs with pagination and filtering (results omitted)
+ */
+export const getModelRuns = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, modelType, status } = req.query;
+  const pageInt = parseInt(page, 10);
+  const limitInt = parseInt(limit, 10);
+
+  if (modelType && !MODEL_RUN_TYPES.includes(modelType)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid modelType. Supported types: ${MODEL_RUN_TYPES.join(', ')}`
+    });
+  }
+
+  const filter = {};
+  if (modelType) filter.modelType = modelType;
+  if (status) filter.status = status;
+
+  const [runs, total] = await Promise.all([
+    ModelRun.find(filter, '-results')
+      .sort({ createdAt: -1 })
+      .skip((pageInt - 1) * limitInt)
+      .limit(limitInt),
+    ModelRun.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: runs,
+    pagination: {
+      total,
+      page: pageInt,
+      limit: limitInt,
+      pages: Math.ceil(total / limitInt)
+    }
+  });
+});
+
+/**
+ * Get a model run by ID including its stored results
+ */
+export const getModelRunById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid ID format'
+    });
+  }
+
+  const run = await ModelRun.findById(id);
+  if (!run) {
+    return res.status(404).json({
+      success: false,
+      message: 'Model run not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: run
+  });
+});
+
+/**
+ * Compare two to five model runs side by side
+ * Query params: ids (comma separated)
+ */
+export const compareModelRuns = asyncHandler(async (req, res) => {
+  const ids = (req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean);
+
+  if (ids.length < 2 || ids.length > 5 || !ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+    return res.status(400).json({
+      success: false,
+      message: 'ids must contain 2 to 5 valid model run IDs separated by commas'
+    });
+  }
+
+  const found = await ModelRun.find({ _id: { $in: ids } });
+  const runs = ids.map(id => found.find(run => run._id.toString() === id));
+  const missing = ids.filter((_, i) => !runs[i]);
+
+  if (missing.length > 0) {
+    return res.status(404).json({
+      success: false,
+      message: `Model runs not found: ${missing.join(', ')}`
+    });
+  }
+
+  const collectDifferences = (getObject) => {
+    const keys = [...new Set(runs.flatMap(run => Object.keys(getObject(run) || {})))];
+    return Object.fromEntries(keys
+      .map(key => [key, runs.map(run => getObject(run)?.[key] ?? null)])
+      .filter(([, values]) => !isSameValue(values)));
+  };
+
+  const metricKeys = [...new Set(runs.flatMap(run => Object.keys(run.metrics || {})))];
+  const metrics = Object.fromEntries(metricKeys.map(key => [key, runs.map(run => run.metrics?.[key] ?? null)]));
+
+  // Per-province comparison only makes sense for runs of the same persisted model type
+  let provinces = null;
+  const [modelType] = runs.map(run => run.modelType);
+  if (RESTORABLE_TYPES.includes(modelType) && runs.every(run => run.modelType === modelType)) {
+    const fields = COMPARED_RESULT_FIELDS[modelType];
+    const provinceIds = [...new Set(runs.flatMap(run => run.results.map(result => result.provinceId.toString())))];
+    const provinceDocs = await Province.find({ _id: { $in: provinceIds } }, 'name');
+    const nameById = Object.fromEntries(provinceDocs.map(province => [province._id.toString(), province.name]));
+
+    provinces = provinceIds.map(provinceId => {
+      const perRun = runs.map(run => run.results.find(result => result.provinceId.toString() === provinceId) || null);
+      const values = Object.fromEntries(fields.map(field => [field, perRun.map(result => result?.[field] ?? null)]));
+      return {
+        provinceId,
+        provinsi: nameById[provinceId] || null,
+        ...values,
+        changed: fields.some(field => !isSameValue(values[field]))
+      };
+    }).sort((a, b) => (a.provinsi || '').localeCompare(b.provinsi || ''));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      runs: runs.map(run => ({
+        _id: run._id,
+        modelType: run.modelType,
+        method: run.method,
+        status: run.status,
+        inputFilter: run.inputFilter,
+        parameters: run.parameters,
+        codeVersion: run.codeVersion,
+        metrics: run.metrics,
+        createdBy: run.createdBy,
+        createdAt: run.createdAt
+      })),
+      differences: {
+        inputFilter: collectDifferences(run => run.inputFilter),
+        parameters: collectDifferences(run => run.parameters),
+        codeVersion: isSameValue(runs.map(run => run.codeVersion)) ? null : runs.map(run => run.codeVersion)
+      },
+      metrics,
+      provinces,
+      changedProvinces: provinces ? provinces.filter(province => province.changed).length : null
+    }
+  });
+});
+
+/**
+ * Restore the GWPR or Clustering results of an earlier run, removing records in the same
+ * year or period that the run did not produce.
+ * The restore is recorded as a new run pointing back to the original via restoredFrom.
+ */
+export const rollbackModelRun = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    if (!req.isAuthenticated || !req.user) {
+      const error = new Error('Authentication required');
+      error.statusCode = 401;
+      throw error;
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      const error = new Error('Invalid ID format');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const source = await ModelRun.findById(id);
+    if (!source) {
+      const error = new Error('Model run not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (!RESTORABLE_TYPES.includes(source.modelType)) {
+      const error = new Error(`Only ${RESTORABLE_TYPES.join(' and ')} runs can be rolled back`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (!source.results || source.results.length === 0) {
+      const error = new Error('This model run has no stored results to restore');
+      error.statusCode = 422;
+      throw error;
+    }
+
+    const run = createModelRun({
+      modelType: source.modelType,
+      method: source.method,
+      inputFilter: source.inputFilter,
+      parameters: source.parameters,
+      metrics: source.metrics,
+      restoredFrom: source._id
+    }, req.user);
+
+    const Model = source.modelType === 'gwpr' ? GWPR : Clustering;
+    const scope = getResultScope(source);
+    if (!scope) {
+      const error = new Error('This model run has no year or analysis period to restore into');
+      error.statusCode = 422;
+      throw error;
+    }
+
+    const restored = [];
+    const errors = [];
+    let removed = [];
+
+    // Upserts and removals share one transaction so the scope ends up exactly as the source run left it
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      for (const snapshot of source.results) {
+        const entry = { ...snapshot, modelRunId: run._id, updatedAt: new Date() };
+
+        try {
+          if (source.modelType === 'gwpr') {
+            const missing = GWPR_RESULT_FIELDS.filter(field => snapshot[field] === undefined);
+            await GWPR.findOneAndUpdate(
+              {
+                provinceId: snapshot.provinceId,
+                'periode_analisis.tahun_mulai': snapshot.periode_analisis.tahun_mulai,
+                'periode_analisis.tahun_selesai': snapshot.periode_analisis.tahun_selesai
+              },
+              {
+                $set: entry,
+                ...(missing.length > 0 && {
+                  $unset: Object.fromEntries(missing.map(field => [field, '']))
+                }),
+                $setOnInsert: {
+                  createdBy: req.user.name || req.user._id,
+                  userRole: req.user.role
+                }
+              },
+              { new: true, upsert: true, runValidators: true, session }
+            );
+          } else {
+            await Clustering.findOneAndUpdate(
+              { provinceId: snapshot.provinceId, tahun: snapshot.tahun },
+              { $set: entry },
+              { new: true, upsert: true, runValidators: true, session }
+            );
+          }
+          restored.push(entry);
+        } catch (error) {
+          errors.push({
+            provinceId: snapshot.provinceId,
+            error: error.code === 11000
+              ? 'Duplicate GWPR record for this province and period; check that the legacy { provinceId, kelompok } index was dropped'
+              : error.message
+          });
+          throw error;
+        }
+      }
+
+      // Records in the same year or period that the source run did not produce
+      const stale = await Model.find(
+        { ...scope, modelRunId: { $ne: run._id } },
+        '_id provinceId',
+        { session }
+      );
+      if (stale.length > 0) {
+        await Model.deleteMany({ _id: { $in: stale.map(doc => doc._id) } }, { session });
+      }
+      removed = stale.map(doc => ({ id: doc._id, provinceId: doc.provinceId }));
+
+      await session.commitTransaction();
+      session.endSession();
+    } catch (error) {
+      await session.abortTransaction();
+      session.endSession();
+
+      run.status = 'failed';
+      run.results = [];
+      await run.save();
+
+      return res.status(500).json({
+        success: false,
+        message: `Could not restore ${source.modelType} results from run ${source._id}, no records were changed`,
+        modelRunId: run._id,
+        restoredFrom: source._id,
+        result: {
+          restored: 0,
+          removed: [],
+          failed: errors.length,
+          errors: errors.length > 0 ? errors : [{ error: error.message }]
+        }
+      });
+    }
+
+    run.status = 'completed';
+    run.results = restored;
+    await run.save();
+
+    return res.status(200).json({
+      success: true,
+      message: `Restored ${restored.length} ${source.modelType} results from run ${source._id}, removed ${removed.length} records the run did not produce`,
+      modelRunId: run._id,
+      restoredFrom: source._id,
+      result: {
+        restored: restored.length,
+        removed,
+        failed: 0,
+        errors
+      }
+    });
+  } catch (error) {
+    console.error('Error rolling back model run:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to roll back model run',
+      error: error.message
+    });
+  }
+});
@@ -1,4 +1,42 @@
 import SAR from '../models/sar.model.js';
+import Province from '../models/province.model.js';
+import { loadFoodSecurityPanel, DEPENDENT_VARIABLE, INDEPENDENT_VARIABLES } from '../utils/foodSecurityData.js';
+import {
+  getNeighborMapFromSAR,
+  getNearestNeighbors,
+  getDistanceBandNeighbors,
+  loadProvinceWeights,
+  toDenseCSV,
+  toGAL,
+  toGWT,
+  buildPanelWeights,
+  WEIGHT_METHODS,
+  WEIGHT_STYLES
+} from '../utils/spatialWeights.js';
+import {
+  getProvinceContiguity,
+  getProvinceCentroids,
+  getDistanceMatrix,
+  CONTIGUITY_CRITERIA
+} from '../utils/spatial.js';
+import { getProvinsiList } from '../utils/extractProvince.js';
+import { recordModelRun } from '../utils/modelRun.js';
+import {
+  fitOLS,
+  fitSpatialLag,
+  fitSpatialError,
+  olsDiagnostics,
+  recommendSpatialModel
+} from '../utils/spatialRegression.js';
+
+const SPATIAL_MODELS = ['lag', 'error', 'both'];
+const CONTIGUITY_FALLBACKS = ['none', 'knn', 'distance'];
+const WEIGHT_FORMATS = ['json', 'csv', 'gal', 'gwt'];
+const COEFFICIENT_NAMES = ['intercept', ...INDEPENDENT_VARIABLES];
+
+const nameCoefficients = (coefficients) => Object.fromEntries(
+  coefficients.map((coefficient, i) => [COEFFICIENT_NAMES[i], coefficient])
+);
 
 // Get all SAR records
 export const getAllSAR = async (req, res) => {
@@ -177,3 +215,474 @@ export const bulkCreateSAR = async (req, res) => {
     });
   }
 };
+
+// Estimate a spatial lag and/or spatial error model of prevalence of undernourishment
+// for one year, with a row-standardized W built from the SAR neighbour lists
+export const estimateSARModel = async (req, res) => {
+  try {
+    const tahun = parseInt(req.query.tahun, 10);
+    const model = req.query.model || 'lag';
+
+    if (isNaN(tahun) || tahun < 2000 || tahun > 2100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Query parameter tahun is required and must be between 2000 and 2100'
+      });
+    }
+
+    if (!SPATIAL_MODELS.includes(model)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid model. Supported models: ${SPATIAL_MODELS.join(', ')}`
+      });
+    }
+
+    const { provinces, skipped } = await loadFoodSecurityPanel(tahun, tahun);
+
+    if (provinces.length <= COEFFICIENT_NAMES.length + 1) {
+      return res.status(422).json({
+        success: false,
+        message: `Not enough complete food security records for ${tahun} (${provinces.length} provinces)`,
+        skipped
+      });
+    }
+
+    const { W, islands } = await loadProvinceWeights(provinces, { method: 'sar', style: 'row' });
+
+    if (islands.length === provinces.length) {
+      return res.status(422).json({
+        success: false,
+        message: 'No SAR neighbour lists found for the provinces in this year'
+      });
+    }
+
+    const X = provinces.map(province => [1, ...province.records[0].x]);
+    const y = provinces.map(province => province.records[0].y);
+
+    const ols = fitOLS(X, y);
+    const data = {
+      tahun,
+      dependentVariable: DEPENDENT_VARIABLE,
+      observations: provinces.length,
+      weights: {
+        source: 'sar',
+        rowStandardized: true,
+        islands
+      },
+      ols: {
+        coefficients: nameCoefficients(ols.coefficients),
+        rSquared: ols.rSquared,
+        logLikelihood: ols.logLikelihood,
+        aic: ols.aic
+      }
+    };
+
+    if (model === 'lag' || model === 'both') {
+      const lag = fitSpatialLag(X, y, W);
+      data.spatialLag = {
+        rho: lag.rho,
+        coefficients: nameCoefficients(lag.coefficients),
+        sigma2: lag.sigma2,
+        logLikelihood: lag.logLikelihood,
+        aic: lag.aic,
+        likelihoodRatioTest: lag.likelihoodRatioTest
+      };
+    }
+
+    if (model === 'error' || model === 'both') {
+      const error = fitSpatialError(X, y, W);
+      data.spatialError = {
+        lambda: error.lambda,
+        coefficients: nameCoefficients(error.coefficients),
+        sigma2: error.sigma2,
+        logLikelihood: error.logLikelihood,
+        aic: error.aic,
+        likelihoodRatioTest: error.likelihoodRatioTest
+      };
+    }
+
+    const run = await recordModelRun({
+      modelType: 'sar',
+      method: model,
+      inputFilter: { tahun },
+      parameters: { weights: 'sar', style: 'row' },
+      metrics: {
+        observations: data.observations,
+        olsAic: data.ols.aic,
+        ...(data.spatialLag && {
+          rho: data.spatialLag.rho.estimate,
+          lagLogLikelihood: data.spatialLag.logLikelihood,
+          lagAic: data.spatialLag.aic
+        }),
+        ...(data.spatialError && {
+          lambda: data.spatialError.lambda.estimate,
+          errorLogLikelihood: data.spatialError.logLikelihood,
+          errorAic: data.spatialError.aic
+        })
+      }
+    }, req.user);
+
+    res.status(200).json({
+      success: true,
+      modelRunId: run?._id ?? null,
+      data,
+      skipped
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to estimate spatial regression model',
+      error: error.message
+    });
+  }
+};
+
+// Compute contiguity neighbours from province_38.json and create or refresh the SAR records.
+// Provinces without land neighbours can fall back to k-nearest or distance-band neighbours.
+export const generateContiguitySAR = async (req, res) => {
+  try {
+    const {
+      criterion = 'queen',
+      fallback = 'none',
+      k = 1,
+      distanceBand
+    } = req.body;
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+    if (!CONTIGUITY_CRITERIA.includes(criterion)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid criterion. Supported criteria: ${CONTIGUITY_CRITERIA.join(', ')}`
+      });
+    }
+
+    if (!CONTIGUITY_FALLBACKS.includes(fallback)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid fallback. Supported fallbacks: ${CONTIGUITY_FALLBACKS.join(', ')}`
+      });
+    }
+
+    if (fallback === 'knn' && (!Number.isInteger(Number(k)) || Number(k) < 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'k must be a positive integer'
+      });
+    }
+
+    if (fallback === 'distance' && (!Number.isFinite(Number(distanceBand)) || Number(distanceBand) <= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'distanceBand (km) must be a positive number'
+      });
+    }
+
+    const contiguity = getProvinceContiguity(criterion);
+    const centroids = getProvinceCentroids();
+    const [provinceDocs, sarRecords] = await Promise.all([
+      Province.find({}, 'name'),
+      SAR.find()
+    ]);
+
+    const provinces = provinceDocs.filter(province => contiguity[province.name] && centroids[province.name]);
+    const idByName = Object.fromEntries(provinces.map(province => [province.name, province._id]));
+    const nameById = Object.fromEntries(provinceDocs.map(province => [province._id.toString(), province.name]));
+    const distances = getDistanceMatrix(provinces.map(province => centroids[province.name]));
+
+    const recordsByMain = {};
+    sarRecords.forEach(record => {
+      const mainId = record.mainProvinceId.toString();
+      if (!recordsByMain[mainId]) recordsByMain[mainId] = [];
+      recordsByMain[mainId].push(record);
+    });
+    const existingNeighbors = getNeighborMapFromSAR(sarRecords);
+
+    const summary = { created: 0, updated: 0, unchanged: 0, deleted: 0, noNeighbors: 0 };
+    const differences = [];
+
+    for (const [i, province] of provinces.entries()) {
+      const mainId = province._id.toString();
+      let source = criterion;
+      let neighborNames = [...contiguity[province.name]].filter(name => idByName[name]);
+
+      if (neighborNames.length === 0 && fallback !== 'none') {
+        const indices = fallback === 'knn'
+          ? getNearestNeighbors(distances, i, Number(k))
+          : getDistanceBandNeighbors(distances, i, Number(distanceBand));
+        neighborNames = indices.map(j => provinces[j].name);
+        source = fallback;
+      }
+
+      const computed = new Set(neighborNames.map(name => idByName[name].toString()));
+      const existing = existingNeighbors[mainId] || new Set();
+      const added = [...computed].filter(id => !existing.has(id)).map(id => nameById[id]);
+      const removed = [...existing].filter(id => !computed.has(id)).map(id => nameById[id] || id);
+
+      let status;
+      if (computed.size === 0 && recordsByMain[mainId]) {
+        // A SAR record needs at least one neighbour, so stale records are deleted to match the geometry
+        status = 'deleted';
+        summary.deleted++;
+      } else if (computed.size === 0) {
+        status = 'no_neighbors';
+        summary.noNeighbors++;
+      } else if (!recordsByMain[mainId]) {
+        status = 'created';
+        summary.created++;
+      } else if (added.length > 0 || removed.length > 0 || recordsByMain[mainId].length > 1) {
+        status = 'updated';
+        summary.updated++;
+      } else {
+        status = 'unchanged';
+        summary.unchanged++;
+      }
+
+      if (!dryRun && status === 'deleted') {
+        await SAR.deleteMany({ _id: { $in: recordsByMain[mainId].map(record => record._id) } });
+      } else if (!dryRun && (status === 'created' || status === 'updated')) {
+        const neighborProvinceIds = [...computed];
+
+        if (status === 'created') {
+          await SAR.create({ mainProvinceId: province._id, neighborProvinceIds });
+        } else {
+          // Keep one record per main province so stale duplicates do not leak into the weights
+          const [record, ...duplicates] = recordsByMain[mainId];
+          record.neighborProvinceIds = neighborProvinceIds;
+          await record.save();
+          if (duplicates.length > 0) {
+            await SAR.deleteMany({ _id: { $in: duplicates.map(duplicate => duplicate._id) } });
+          }
+        }
+      }
+
+      differences.push({
+        provinceId: province._id,
+        provinceName: province.name,
+        status,
+        source,
+        neighbors: neighborNames,
+        added,
+        removed
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: dryRun
+        ? 'Contiguity computed (dry run, no SAR records changed)'
+        : `${summary.created} SAR records created, ${summary.updated} updated, ${summary.deleted} deleted`,
+      data: {
+        criterion,
+        fallback,
+        summary,
+        differences,
+        unmatchedProvinces: provinceDocs
+          .filter(province => !contiguity[province.name] || !centroids[province.name])
+          .map(province => province.name)
+      }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to generate contiguity SAR records',
+      error: error.message
+    });
+  }
+};
+
+// Spatial weights matrix for all provinces in province_38.json order, as JSON, dense CSV or GeoDa .gal/.gwt.
+// GeoDa ids are the 1-based record positions in province_38.json, so the files line up with that layer.
+export const getSpatialWeights = async (req, res) => {
+  try {
+    const {
+      method = 'sar',
+      style = 'row',
+      format = 'json',
+      k = 4,
+      power = 1,
+      threshold
+    } = req.query;
+
+    if (!WEIGHT_METHODS.includes(method)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid method. Supported methods: ${WEIGHT_METHODS.join(', ')}`
+      });
+    }
+
+    if (!WEIGHT_STYLES.includes(style)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid style. Supported styles: ${WEIGHT_STYLES.join(', ')}`
+      });
+    }
+
+    if (!WEIGHT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid format. Supported formats: ${WEIGHT_FORMATS.join(', ')}`
+      });
+    }
+
+    const parameters = {};
+    if (method === 'knn') {
+      parameters.k = Number(k);
+      if (!Number.isInteger(parameters.k) || parameters.k < 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'k must be a positive integer'
+        });
+      }
+    }
+
+    if (method === 'inverse_distance') {
+      parameters.power = Number(power);
+      parameters.threshold = threshold === undefined ? null : Number(threshold);
+      if (!Number.isFinite(parameters.power) || parameters.power <= 0 ||
+          (parameters.threshold !== null && (!Number.isFinite(parameters.threshold) || parameters.threshold <= 0))) {
+        return res.status(400).json({
+          success: false,
+          message: 'power and threshold (km) must be positive numbers'
+        });
+      }
+    }
+
+    const featureNames = getProvinsiList();
+    const provinceDocs = await Province.find({}, 'name code');
+    const provinceByName = Object.fromEntries(provinceDocs.map(province => [province.name, province]));
+
+    const provinces = featureNames
+      .map((name, i) => ({ record: i + 1, province: provinceByName[name] }))
+      .filter(({ province }) => province)
+      .map(({ record, province }) => ({
+        record,
+        provinceId: province._id,
+        name: province.name,
+        code: province.code
+      }));
+
+    if (provinces.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No provinces found'
+      });
+    }
+
+    const { W, islands } = await loadProvinceWeights(provinces, { method, style, ...parameters });
+    const ids = provinces.map(province => province.record);
+    const filename = `weights_${method}_${style}`;
+
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv');
+      res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      return res.status(200).send(toDenseCSV(W, provinces.map(province => province.name)));
+    }
+
+    if (format === 'gal' || format === 'gwt') {
+      const content = format === 'gal'
+        ? toGAL(W, ids, 'province_38', 'RECORD')
+        : toGWT(W, ids, 'province_38', 'RECORD');
+      res.set('Content-Type', 'text/plain');
+      res.set('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+      return res.status(200).send(content);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        method,
+        style,
+        parameters,
+        provinces,
+        islands,
+        weights: W
+      }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to build spatial weights',
+      error: error.message
+    });
+  }
+};
+
+// OLS diagnostics (LM lag/error and robust versions, Breusch-Pagan, Jarque-Bera) for one year
+// or a pooled panel, with SAR neighbour weights applied within each year, plus a model recommendation
+export const getSpatialDiagnostics = async (req, res) => {
+  try {
+    const tahun = req.query.tahun !== undefined ? parseInt(req.query.tahun, 10) : null;
+    const tahunMulai = tahun ?? parseInt(req.query.tahun_mulai, 10);
+    const tahunSelesai = tahun ?? parseInt(req.query.tahun_selesai, 10);
+    const alpha = Number(req.query.alpha ?? 0.05);
+
+    if (isNaN(tahunMulai) || isNaN(tahunSelesai) || tahunMulai < 2000 || tahunSelesai > 2100 || tahunMulai > tahunSelesai) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide tahun, or tahun_mulai and tahun_selesai (tahun_mulai <= tahun_selesai, between 2000 and 2100)'
+      });
+    }
+
+    if (!Number.isFinite(alpha) || alpha <= 0 || alpha >= 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'alpha must be a number between 0 and 1'
+      });
+    }
+
+    const { provinces, skipped } = await loadFoodSecurityPanel(tahunMulai, tahunSelesai);
+    const observations = provinces.flatMap((province, p) =>
+      province.records.map(record => ({ p, tahun: record.tahun, y: record.y, x: record.x }))
+    );
+
+    if (observations.length <= COEFFICIENT_NAMES.length + 1) {
+      return res.status(422).json({
+        success: false,
+        message: `Not enough complete food security records between ${tahunMulai} and ${tahunSelesai} (${observations.length} observations)`,
+        skipped
+      });
+    }
+
+    const { W: neighbors, islands } = await loadProvinceWeights(provinces, { method: 'sar', style: 'binary' });
+    const W = buildPanelWeights(neighbors, observations);
+
+    if (W.every(row => row.every(value => value === 0))) {
+      return res.status(422).json({
+        success: false,
+        message: 'No SAR neighbour lists found for the provinces in this period'
+      });
+    }
+
+    const X = observations.map(observation => [1, ...observation.x]);
+    const y = observations.map(observation => observation.y);
+    const ols = fitOLS(X, y);
+    const diagnostics = olsDiagnostics(X, y, W, ols);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        periode: { tahun_mulai: tahunMulai, tahun_selesai: tahunSelesai },
+        dependentVariable: DEPENDENT_VARIABLE,
+        observations: observations.length,
+        provinces: provinces.length,
+        weights: { source: 'sar', rowStandardized: true, islands },
+        ols: {
+          coefficients: nameCoefficients(ols.coefficients),
+          rSquared: ols.rSquared,
+          adjustedRSquared: ols.adjustedRSquared,
+          logLikelihood: ols.logLikelihood,
+          aic: ols.aic
+        },
+        diagnostics,
+        recommendation: recommendSpatialModel(diagnostics, alpha)
+      },
+      skipped
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to compute spatial diagnostics',
+      error: error.message
+    });
+  }
+};
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import {DB_URI, NODE_ENV} from "../config/env.js";
+import { migrateGWPRIndexes } from "../models/gwpr.model.js";
 
 if(!DB_URI) {
     throw new Error('Please define the MONGO_URI environment variable inside .env.<development/production>.local');
@@ -9,6 +10,7 @@ const connectToDatabase = async () => {
     try{
         await mongoose.connect(DB_URI);
         console.log(`Connected to database in ${NODE_ENV} mode`);
+        await migrateGWPRIndexes();
         
     } catch (error) {
         console.error("MongoDB connection error:", error);
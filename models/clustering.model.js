@@ -71,6 +71,11 @@ const clusteringSchema = new mongoose.Schema({
     type: clusterSummarySchema,
     required: true
   },
+  // Model run that produced this assignment (absent for imported data)
+  modelRunId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ModelRun'
+  },
   // Virtual field for outlier detection
   isOutlier: {
     type: Boolean,
@@ -56,6 +56,18 @@ const gwprSchema = new mongoose.Schema({
     indeks_demokrasi_indonesia: { type: Number }
   },
   
+  // Optional: Local t-values of the regression coefficients (for analysis results)
+  nilai_t: {
+    persentase_nilai_perdagangan_domestik: { type: Number },
+    indeks_harga_implisit: { type: Number },
+    koefisien_gini: { type: Number },
+    indeks_pembangunan_manusia: { type: Number },
+    kepadatan_penduduk: { type: Number },
+    ketersediaan_infrastruktur_jalan: { type: Number },
+    indeks_kemahalan_konstruksi: { type: Number },
+    indeks_demokrasi_indonesia: { type: Number }
+  },
+  
   // Optional: Model quality metrics (for analysis results)
   r_squared: {
     type: Number,
@@ -74,7 +86,28 @@ const gwprSchema = new mongoose.Schema({
   bandwidth: {
     type: Number,
     min: 0,
-    comment: 'Geographic bandwidth used in GWPR'
+    comment: 'Geographic bandwidth used in GWPR (km for fixed, nearest neighbours for adaptive)'
+  },
+  bandwidth_type: {
+    type: String,
+    enum: ['fixed', 'adaptive'],
+    comment: 'Fixed distance or adaptive nearest neighbour bandwidth'
+  },
+  kernel: {
+    type: String,
+    enum: ['gaussian', 'bisquare', 'exponential'],
+    comment: 'Spatial kernel used to weight neighbouring provinces'
+  },
+  bandwidth_criterion: {
+    type: String,
+    enum: ['aicc', 'cv', 'manual'],
+    comment: 'How the bandwidth was chosen'
+  },
+  
+  // Model run that produced these results
+  modelRunId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ModelRun'
   },
   
   createdAt: {
@@ -95,11 +128,43 @@ const gwprSchema = new mongoose.Schema({
   }
 });
 
-// Add indexes for better query performance - fix the unique index
-gwprSchema.index({ provinceId: 1, kelompok: 1 }, { unique: true });
+// One GWPR result per province and analysis period; kelompok can change between periods
+gwprSchema.index(
+  { provinceId: 1, 'periode_analisis.tahun_mulai': 1, 'periode_analisis.tahun_selesai': 1 },
+  { unique: true }
+);
 gwprSchema.index({ kelompok: 1 });
 gwprSchema.index({ 'variabel_signifikan': 1 });
 
 const GWPR = mongoose.model('GWPR', gwprSchema);
 
+// Unique index from before results were stored per analysis period
+const LEGACY_UNIQUE_INDEX = 'provinceId_1_kelompok_1';
+
+/**
+ * Drop the legacy unique { provinceId, kelompok } index and build the per-period one.
+ * Safe to run on every start; existing duplicates for a province and period are logged
+ * because they prevent the new unique index from being built.
+ */
+export const migrateGWPRIndexes = async () => {
+  try {
+    const indexes = await GWPR.collection.indexes();
+    if (indexes.some(index => index.name === LEGACY_UNIQUE_INDEX)) {
+      await GWPR.collection.dropIndex(LEGACY_UNIQUE_INDEX);
+      console.log(`Dropped legacy GWPR index ${LEGACY_UNIQUE_INDEX}`);
+    }
+  } catch (error) {
+    // The collection does not exist yet on a fresh database
+    if (error.codeName !== 'NamespaceNotFound') {
+      console.error('Error dropping legacy GWPR index:', error);
+    }
+  }
+
+  try {
+    await GWPR.createIndexes();
+  } catch (error) {
+    console.error('Error creating GWPR indexes (duplicate province/period records?):', error);
+  }
+};
+
 export default GWPR;
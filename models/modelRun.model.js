@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+export const MODEL_RUN_TYPES = ['gwpr', 'clustering', 'sar', 'regression'];
+
+// One record per analytic model run, so published numbers can be traced back and reproduced
+const modelRunSchema = new mongoose.Schema({
+  modelType: {
+    type: String,
+    enum: MODEL_RUN_TYPES,
+    required: [true, 'Model type is required']
+  },
+  method: {
+    type: String,
+    trim: true,
+    comment: 'Model variant, e.g. kmeans, dbscan, lag, error'
+  },
+  status: {
+    type: String,
+    enum: ['completed', 'partial', 'failed'],
+    default: 'completed'
+  },
+  // Dataset filter the run was fitted on, e.g. { tahun } or { tahun_mulai, tahun_selesai }
+  inputFilter: {
+    type: Object,
+    default: {}
+  },
+  parameters: {
+    type: Object,
+    default: {}
+  },
+  codeVersion: {
+    type: String
+  },
+  metrics: {
+    type: Object,
+    default: {}
+  },
+  // Per-province results as written to the GWPR / Clustering collections, used for rollback
+  results: {
+    type: [Object],
+    default: []
+  },
+  restoredFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ModelRun',
+    comment: 'Set when this run re-applied the results of an earlier run'
+  },
+  createdBy: {
+    type: String,
+    default: 'system'
+  },
+  userRole: {
+    type: String,
+    default: 'system'
+  }
+}, {
+  timestamps: true
+});
+
+modelRunSchema.index({ modelType: 1, createdAt: -1 });
+
+const ModelRun = mongoose.model('ModelRun', modelRunSchema);
+
+export default ModelRun;
@@ -7,6 +7,27 @@ const router = express.Router();
 // GET /api/climate - Get all Climate records
 router.get('/', climateController.getAllClimate);
 
+// GET /api/climate/regression - Regress produksi_padi on climate variables (BEFORE /:id)
+router.get('/regression', authenticate, climateController.getClimateRegression);
+
+// GET /api/climate/forecast/:provinceId - Forecast produksi_padi 1-12 months ahead (BEFORE /:id)
+router.get('/forecast/:provinceId', authenticate, climateController.getClimateForecast);
+
+// GET /api/climate/anomalies - Months deviating from the province climatology (BEFORE /:id)
+router.get('/anomalies', authenticate, climateController.getClimateAnomalies);
+
+// GET /api/climate/spi/:provinceId - SPI-1/3/6 drought index time series (BEFORE /:id)
+router.get('/spi/:provinceId', authenticate, climateController.getClimateSPI);
+
+// GET /api/climate/aggregate - Annual or wet/dry season aggregates per province (BEFORE /:id)
+router.get('/aggregate', authenticate, climateController.getClimateAggregates);
+
+// GET /api/climate/normals - Multi-year climate normals per province (BEFORE /:id)
+router.get('/normals', authenticate, climateController.getClimateNormals);
+
+// GET /api/climate/lagged-correlation - Climate vs produksi_padi correlations at lags 0-6 (BEFORE /:id)
+router.get('/lagged-correlation', authenticate, climateController.getClimateLaggedCorrelation);
+
 // GET /api/climate/:id - Get Climate by ID
 router.get('/:id', climateController.getClimateById);
 
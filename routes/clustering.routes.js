@@ -7,7 +7,10 @@ const clusterRouter = express.Router();
 // GET routes
 clusterRouter.get('/', clusteringController.getAllClusteringData);
 clusterRouter.get('/validate-import', clusteringController.validateBulkImportData);
+clusterRouter.get('/status-mismatches', clusteringController.getStatusMismatches);
 clusterRouter.get('/stats/year/:year', clusteringController.getClusterStatsByYear);
+clusterRouter.get('/validation/year/:year', clusteringController.getClusterValidationByYear);
+clusterRouter.get('/transitions', clusteringController.getClusterTransitions);
 clusterRouter.get('/outliers/year/:year', clusteringController.getOutliersByYear);
 clusterRouter.get('/year/:year', clusteringController.getClusteringByYear);
 clusterRouter.get('/cluster/:clusterId', clusteringController.getClusteringByClusterId);
@@ -20,6 +23,16 @@ clusterRouter.post('/',
     authorize(['petugas_lapangan', 'pemerintah']),
     clusteringController.createClusteringData
 );
+clusterRouter.post('/run', 
+    authenticate,
+    authorize(['petugas_lapangan', 'pemerintah']),
+    clusteringController.runClustering
+);
+clusterRouter.post('/recompute-status', 
+    authenticate,
+    authorize(['petugas_lapangan', 'pemerintah']),
+    clusteringController.recomputeClusterStatus
+);
 clusterRouter.post('/bulk-import', 
     authenticate,
     authorize(['petugas_lapangan', 'pemerintah']),
@@ -12,6 +12,8 @@ router.get('/year/:year', foodSecurityController.getFoodSecurityByYear);
 router.get('/province/:id/year/:year', foodSecurityController.getFoodSecurityByProvinceAndYear);
 router.get('/average/:year', foodSecurityController.getAverageFoodSecurityByYear);
 router.get('/trend/:id', foodSecurityController.getFoodSecurityTrend);
+router.get('/projection', foodSecurityController.getFoodSecurityProjection);
+router.get('/projection/:id', foodSecurityController.getFoodSecurityProjection);
 router.get('/ranking/:year', foodSecurityController.getFoodSecurityRanking);
 
 // Category-related routes
@@ -20,6 +20,25 @@ router.post('/bulk',
   gwprController.bulkCreateGWPR
 );
 
+// POST /api/gwpr/run - Fit GWPR from FoodSecurity data (BEFORE /:id)
+router.post('/run', 
+  authenticate, 
+  authorize(['petugas_lapangan', 'pemerintah']), 
+  gwprController.runGWPR
+);
+
+// POST /api/gwpr/predict - What-if prediction from local coefficients (BEFORE /:id)
+router.post('/predict', gwprController.predictGWPR);
+
+// GET /api/gwpr/compare - OLS vs GWPR vs spatial lag fit statistics (BEFORE /:id)
+router.get('/compare', gwprController.compareGWPRModels);
+
+// GET /api/gwpr/cross-validation - Leave-one-province/year-out validation (BEFORE /:id)
+router.get('/cross-validation', gwprController.crossValidateGWPR);
+
+// GET /api/gwpr/collinearity - Correlation, VIF and condition number of the independent variables (BEFORE /:id)
+router.get('/collinearity', gwprController.getCollinearityDiagnostics);
+
 // GET /api/gwpr/:id - Get GWPR by ID
 router.get('/:id', gwprController.getGWPRById);
 
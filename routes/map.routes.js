@@ -1,5 +1,5 @@
 import express from 'express';
-import { getMapData, getProvinceMapData } from '../controllers/map.controller.js';
+import { getMapData, getProvinceMapData, getMoranMapData } from '../controllers/map.controller.js';
 
 const router = express.Router();
 
@@ -7,6 +7,10 @@ const router = express.Router();
 // GET /api/v1/map?year=2020&type=food-security
 router.get('/', getMapData);
 
+// Global Moran's I and LISA clusters
+// GET /api/v1/map/moran?year=2020&variable=prevalence_of_undernourishment&weights=queen
+router.get('/moran', getMoranMapData);
+
 // Province-specific route
 // GET /api/v1/map/province/:id?year=2020&type=all
 router.get('/province/:id', getProvinceMapData);
@@ -0,0 +1,23 @@
+import express from 'express';
+import { authenticate, authorize } from '../middlewares/auth.middleware.js';
+import * as modelRunController from '../controllers/modelRun.controller.js';
+
+const router = express.Router();
+
+// GET /api/v1/model-runs - List model runs (?modelType=&status=&page=&limit=)
+router.get('/', modelRunController.getModelRuns);
+
+// GET /api/v1/model-runs/compare?ids=a,b - Compare runs side by side (BEFORE /:id)
+router.get('/compare', modelRunController.compareModelRuns);
+
+// GET /api/v1/model-runs/:id - Get model run with its results
+router.get('/:id', modelRunController.getModelRunById);
+
+// POST /api/v1/model-runs/:id/rollback - Restore the GWPR/Clustering results of a run
+router.post('/:id/rollback',
+  authenticate,
+  authorize(['petugas_lapangan', 'pemerintah']),
+  modelRunController.rollbackModelRun
+);
+
+export default router;
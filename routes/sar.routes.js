@@ -7,6 +7,22 @@ const router = express.Router();
 // GET /api/sar - Get all SAR records
 router.get('/', sarController.getAllSAR);
 
+// GET /api/sar/weights?method=&style=&format=json|csv|gal|gwt - Spatial weights matrix (BEFORE /:id)
+router.get('/weights', sarController.getSpatialWeights);
+
+// GET /api/sar/model?tahun=&model=lag|error|both - Spatial lag / error model (BEFORE /:id)
+router.get('/model', sarController.estimateSARModel);
+
+// POST /api/sar/contiguity - Create/refresh SAR records from polygon contiguity (BEFORE /:id)
+router.post('/contiguity',
+  authenticate,
+  authorize(['petugas_lapangan', 'pemerintah']),
+  sarController.generateContiguitySAR
+);
+
+// GET /api/sar/diagnostics?tahun= or ?tahun_mulai=&tahun_selesai= - OLS spatial diagnostics (BEFORE /:id)
+router.get('/diagnostics', sarController.getSpatialDiagnostics);
+
 // GET /api/sar/main/:provinceId - Get SAR by main province (BEFORE /:id)
 router.get('/main/:provinceId', sarController.getSARByMainProvince);
 
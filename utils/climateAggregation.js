@@ -0,0 +1,108 @@
+import { CLIMATE_VARIABLES } from './climateData.js';
+
+/**
+ * Annual and seasonal aggregation of the monthly Climate series.
+ *
+ * Flux-like variables (rainfall, rice production) are summed over the months of a period;
+ * state variables (temperature, humidity, radiation, cloud cover, wind, soil moisture) are
+ * averaged. The wet season runs October-March and is labelled with the year it ends in,
+ * so it lines up with the harvest year of the annual FoodSecurity and SupplyChain data.
+ */
+
+export const AGGREGATION_OPERATORS = {
+  produksi_padi: 'sum',
+  curah_hujan: 'sum',
+  suhu_udara: 'mean',
+  radiasi_matahari: 'mean',
+  kelembaban_udara: 'mean',
+  tutupan_awan: 'mean',
+  kecepatan_angin: 'mean',
+  kelembaban_permukaan_tanah: 'mean',
+  kelembaban_zona_akar: 'mean'
+};
+
+export const AGGREGATION_PERIODS = ['annual', 'season'];
+
+export const SEASONS = {
+  wet: [10, 11, 12, 1, 2, 3],
+  dry: [4, 5, 6, 7, 8, 9]
+};
+
+// Year a month is reported under for a period
+const periodYear = (record, season) => (season === 'wet' && record.bulan >= 10 ? record.tahun + 1 : record.tahun);
+
+const seasonOf = (bulan) => (SEASONS.wet.includes(bulan) ? 'wet' : 'dry');
+
+// Apply each variable's operator to a group of records
+const aggregateRecords = (records) => {
+  const values = {
+    produksi_padi: records.map(record => record.y),
+    ...Object.fromEntries(CLIMATE_VARIABLES.map((name, j) => [name, records.map(record => record.x[j])]))
+  };
+
+  return Object.fromEntries(Object.entries(values).map(([name, list]) => {
+    const sum = list.reduce((a, b) => a + b, 0);
+    return [name, AGGREGATION_OPERATORS[name] === 'sum' ? sum : sum / list.length];
+  }));
+};
+
+/**
+ * Aggregate one province's monthly records per year or per season
+ * @param {Array<{ tahun: number, bulan: number, y: number, x: number[] }>} records - Records from loadClimateSeries()
+ * @param {string} [period='annual'] - annual or season
+ * @returns {Array<{ tahun: number, season?: string, label?: string, months: number, complete: boolean, values: Object }>}
+ */
+export const aggregateClimate = (records, period = 'annual') => {
+  const groups = new Map();
+
+  records.forEach(record => {
+    const season = period === 'season' ? seasonOf(record.bulan) : null;
+    const tahun = periodYear(record, season);
+    const key = `${tahun}-${season}`;
+    if (!groups.has(key)) groups.set(key, { tahun, season, records: [] });
+    groups.get(key).records.push(record);
+  });
+
+  return [...groups.values()]
+    .sort((a, b) => a.tahun - b.tahun || (a.season === 'wet' ? -1 : 1))
+    .map(({ tahun, season, records: group }) => {
+      const expected = season ? SEASONS[season].length : 12;
+      return {
+        tahun,
+        ...(season && {
+          season,
+          label: season === 'wet' ? `${tahun - 1}/${tahun}` : `${tahun}`
+        }),
+        months: group.length,
+        complete: group.length === expected,
+        values: aggregateRecords(group)
+      };
+    });
+};
+
+/**
+ * Multi-year normals: means of the complete annual and seasonal aggregates, and monthly means
+ * @param {Array} records - Records from loadClimateSeries() within the normal period
+ * @returns {{ years: number, annual: Object|null, wet: Object|null, dry: Object|null, monthly: Array<Object|null> }}
+ */
+export const computeClimateNormals = (records) => {
+  const mean = (rows) => {
+    if (rows.length === 0) return null;
+    return Object.fromEntries(Object.keys(rows[0]).map(name => [
+      name,
+      rows.reduce((sum, row) => sum + row[name], 0) / rows.length
+    ]));
+  };
+
+  const annual = aggregateClimate(records, 'annual').filter(entry => entry.complete);
+  const seasons = aggregateClimate(records, 'season').filter(entry => entry.complete);
+
+  return {
+    years: annual.length,
+    annual: mean(annual.map(entry => entry.values)),
+    wet: mean(seasons.filter(entry => entry.season === 'wet').map(entry => entry.values)),
+    dry: mean(seasons.filter(entry => entry.season === 'dry').map(entry => entry.values)),
+    monthly: Array.from({ length: 12 }, (_, month) =>
+      mean(records.filter(record => record.bulan === month + 1).map(record => aggregateRecords([record]))))
+  };
+};
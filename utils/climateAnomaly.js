@@ -0,0 +1,96 @@
+import { CLIMATE_VARIABLES } from './climateData.js';
+
+/**
+ * Climate anomalies against a province's own monthly climatology.
+ * The climatology is the mean and sample standard deviation of each variable per calendar
+ * month over a baseline period; a month is anomalous when |z| reaches the threshold.
+ */
+
+export const ANOMALY_VARIABLES = [
+  'curah_hujan',
+  'suhu_udara',
+  'kelembaban_permukaan_tanah',
+  'kelembaban_zona_akar'
+];
+
+export const DEFAULT_Z_THRESHOLD = 2;
+
+/**
+ * Mean and standard deviation per calendar month
+ * @param {Array<{ bulan: number, x: number[] }>} records - Records from loadClimateSeries()
+ * @param {string[]} variables
+ * @returns {Array<Object>} - 12 entries (January first) of { [variable]: { mean, sd, count } }
+ */
+export const computeClimatology = (records, variables) => Array.from({ length: 12 }, (_, month) => {
+  const inMonth = records.filter(record => record.bulan === month + 1);
+
+  return Object.fromEntries(variables.map(variable => {
+    const j = CLIMATE_VARIABLES.indexOf(variable);
+    const values = inMonth.map(record => record.x[j]);
+    const count = values.length;
+    const mean = count > 0 ? values.reduce((a, b) => a + b, 0) / count : null;
+    const sd = count > 1 ? Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (count - 1)) : null;
+
+    return [variable, { mean, sd, count }];
+  }));
+});
+
+/**
+ * Standardized anomalies of one province's records
+ * @param {Array} records - Records to evaluate
+ * @param {Array<Object>} climatology - Result of computeClimatology()
+ * @param {Object} options
+ * @param {string[]} options.variables
+ * @param {number} [options.threshold=2] - |z| at or above which a month is flagged
+ * @returns {Array<{ tahun: number, bulan: number, values: Object, anomalies: Array }>}
+ */
+export const detectAnomalies = (records, climatology, { variables, threshold = DEFAULT_Z_THRESHOLD }) => records.map(record => {
+  const values = {};
+  const anomalies = [];
+
+  variables.forEach(variable => {
+    const value = record.x[CLIMATE_VARIABLES.indexOf(variable)];
+    const { mean, sd } = climatology[record.bulan - 1][variable];
+    // A month with no spread in the baseline cannot be scored
+    const zScore = mean !== null && sd > 0 ? (value - mean) / sd : null;
+
+    values[variable] = { value, mean, sd, zScore };
+
+    if (zScore !== null && Math.abs(zScore) >= threshold) {
+      anomalies.push({ variable, value, mean, sd, zScore, direction: zScore > 0 ? 'above' : 'below' });
+    }
+  });
+
+  return { tahun: record.tahun, bulan: record.bulan, values, anomalies };
+});
+
+/**
+ * Climatology over the baseline years and anomalies for the requested year/month
+ * @param {Object} province - Province from loadClimateSeries() with all of its records
+ * @param {Object} options
+ * @param {string[]} options.variables
+ * @param {number} [options.threshold]
+ * @param {number} [options.baselineStart] - First baseline year (default first record)
+ * @param {number} [options.baselineEnd] - Last baseline year (default last record)
+ * @param {number} [options.tahun] - Only evaluate this year
+ * @param {number} [options.bulan] - Only evaluate this month
+ * @returns {{ climatology: Array<Object>, baselineYears: { start: number|null, end: number|null }, months: Array }}
+ */
+export const evaluateProvinceAnomalies = (province, { variables, threshold, baselineStart, baselineEnd, tahun, bulan }) => {
+  const baseline = province.records.filter(record =>
+    (baselineStart === undefined || record.tahun >= baselineStart) &&
+    (baselineEnd === undefined || record.tahun <= baselineEnd));
+  const evaluated = province.records.filter(record =>
+    (tahun === undefined || record.tahun === tahun) &&
+    (bulan === undefined || record.bulan === bulan));
+  const climatology = computeClimatology(baseline, variables);
+
+  return {
+    climatology,
+    baselineYears: {
+      start: baseline.length > 0 ? baseline[0].tahun : null,
+      end: baseline.length > 0 ? baseline[baseline.length - 1].tahun : null
+    },
+    months: detectAnomalies(evaluated, climatology, { variables, threshold })
+  };
+};
@@ -0,0 +1,185 @@
+import { CLIMATE_VARIABLES, monthIndex } from './climateData.js';
+import { tTestPValue } from './statistics.js';
+
+/**
+ * Lagged Pearson correlations between climate variables and rice production.
+ * At lag L the climate value of month t - L is paired with production in month t; pairs
+ * are only formed when both months exist for the same province. Pooled (national)
+ * correlations remove each province's mean first so large producers do not dominate.
+ * With `deseasonalize` (the default in the API), each province's calendar-month means are
+ * removed instead, so the correlation reflects anomalies rather than the shared seasonal cycle.
+ *
+ * Monthly series are serially correlated, so the t test uses an effective sample size
+ * n_eff = n (1 - r_x r_y) / (1 + r_x r_y), with r_x and r_y the lag-1 autocorrelations of the
+ * two series (Bretherton et al., 1999). Pooled correlations sum the provinces' n_eff.
+ */
+
+export const MAX_CORRELATION_LAG = 6;
+
+/**
+ * Pearson correlation with a two-sided t test
+ * @param {number[]} x
+ * @param {number[]} y
+ * @param {Object} [options]
+ * @param {number} [options.adjustment=0] - Degrees of freedom already used, e.g. by removed means
+ * @param {number} [options.effectiveN] - Effective sample size for the test (defaults to n)
+ * @returns {{ r: number|null, n: number, effectiveN: number, tValue: number|null, pValue: number|null }}
+ */
+export const pearsonCorrelation = (x, y, { adjustment = 0, effectiveN = x.length } = {}) => {
+  const n = x.length;
+  // Removed means cost the same share of the effective sample as of the raw one
+  const df = n > 0 ? (n - 2 - adjustment) * effectiveN / n : 0;
+  if (n < 3 || df < 1) return { r: null, n, effectiveN, tValue: null, pValue: null };
+
+  const meanX = x.reduce((a, b) => a + b, 0) / n;
+  const meanY = y.reduce((a, b) => a + b, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  x.forEach((value, i) => {
+    sxy += (value - meanX) * (y[i] - meanY);
+    sxx += (value - meanX) ** 2;
+    syy += (y[i] - meanY) ** 2;
+  });
+
+  if (sxx === 0 || syy === 0) return { r: null, n, effectiveN, tValue: null, pValue: null };
+
+  const r = sxy / Math.sqrt(sxx * syy);
+  if (Math.abs(r) >= 1) return { r, n, effectiveN, tValue: null, pValue: 0 };
+
+  const tValue = r * Math.sqrt(df / (1 - r * r));
+  return { r, n, effectiveN, tValue, pValue: tTestPValue(tValue, df) };
+};
+
+// Subtract the province mean, or its calendar-month means, from y and every climate variable
+const centerRecords = (records, deseasonalize) => {
+  const groupOf = (record) => (deseasonalize ? record.bulan : 0);
+  const sums = new Map();
+
+  records.forEach(record => {
+    const group = groupOf(record);
+    if (!sums.has(group)) sums.set(group, { count: 0, y: 0, x: new Array(CLIMATE_VARIABLES.length).fill(0) });
+    const entry = sums.get(group);
+    entry.count++;
+    entry.y += record.y;
+    record.x.forEach((value, j) => { entry.x[j] += value; });
+  });
+
+  return records.map(record => {
+    const { count, y, x } = sums.get(groupOf(record));
+    return {
+      tahun: record.tahun,
+      bulan: record.bulan,
+      y: record.y - y / count,
+      x: record.x.map((value, j) => value - x[j] / count)
+    };
+  });
+};
+
+// (climate at t - lag, production at t) pairs of one province, with the month of each pair
+const laggedPairs = (records, column, lag) => {
+  const byMonth = new Map(records.map(record => [monthIndex(record.tahun, record.bulan), record]));
+  const x = [];
+  const y = [];
+  const months = [];
+
+  records.forEach(record => {
+    const month = monthIndex(record.tahun, record.bulan);
+    const source = byMonth.get(month - lag);
+    if (!source) return;
+    x.push(source.x[column]);
+    y.push(record.y);
+    months.push(month);
+  });
+
+  return { x, y, months };
+};
+
+// Lag-1 autocorrelation over pairs of consecutive months
+const lagOneAutocorrelation = (values, months) => {
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0);
+  if (!(variance > 0)) return 0;
+
+  let covariance = 0;
+  for (let i = 1; i < values.length; i++) {
+    if (months[i] === months[i - 1] + 1) covariance += (values[i] - mean) * (values[i - 1] - mean);
+  }
+  return covariance / variance;
+};
+
+// Bretherton effective sample size, never above n; negative autocorrelation is not rewarded
+const effectiveSampleSize = ({ x, y, months }) => {
+  const n = x.length;
+  if (n < 3) return n;
+  const product = Math.max(0, lagOneAutocorrelation(x, months) * lagOneAutocorrelation(y, months));
+  return Math.min(n, n * (1 - product) / (1 + product));
+};
+
+// Correlations at each lag plus the strongest significant lag
+const summarizeLags = (lags, alpha) => {
+  const results = lags.map(({ lag, ...stats }) => ({
+    lag,
+    ...stats,
+    significant: stats.pValue !== null && stats.pValue < alpha
+  }));
+  const strongest = results
+    .filter(result => result.significant)
+    .reduce((best, result) => (!best || Math.abs(result.r) > Math.abs(best.r) ? result : best), null);
+
+  return { lags: results, strongestLag: strongest ? strongest.lag : null };
+};
+
+/**
+ * Lagged correlations per province and pooled over all given provinces
+ * @param {Array} provinces - Provinces from loadClimateSeries()
+ * @param {Object} options
+ * @param {string[]} options.variables
+ * @param {number} [options.maxLag=6]
+ * @param {boolean} [options.deseasonalize=false] - The controller defaults this to true
+ * @param {number} [options.alpha=0.05]
+ * @returns {{ national: Object, provinces: Array<{ provinceId, provinsi: string, correlations: Object }> }}
+ */
+export const laggedCorrelations = (provinces, { variables, maxLag = MAX_CORRELATION_LAG, deseasonalize = false, alpha = 0.05 }) => {
+  const lagValues = Array.from({ length: maxLag + 1 }, (_, lag) => lag);
+  const pooled = Object.fromEntries(variables.map(variable => [
+    variable,
+    lagValues.map(() => ({ x: [], y: [], effectiveN: 0 }))
+  ]));
+  // Means removed from the pooled series cost one degree of freedom per province (and month)
+  const removedMeans = provinces.length * (deseasonalize ? 12 : 1);
+
+  const provinceResults = provinces.map(province => {
+    const centered = centerRecords(province.records, deseasonalize);
+
+    const correlations = Object.fromEntries(variables.map(variable => {
+      const column = CLIMATE_VARIABLES.indexOf(variable);
+
+      return [variable, summarizeLags(lagValues.map(lag => {
+        const pairs = laggedPairs(centered, column, lag);
+        const effectiveN = effectiveSampleSize(pairs);
+        pooled[variable][lag].x.push(...pairs.x);
+        pooled[variable][lag].y.push(...pairs.y);
+        pooled[variable][lag].effectiveN += effectiveN;
+
+        // Eleven extra means are removed when deseasonalizing
+        return { lag, ...pearsonCorrelation(pairs.x, pairs.y, { adjustment: deseasonalize ? 11 : 0, effectiveN }) };
+      }), alpha)];
+    }));
+
+    return { provinceId: province.provinceId, provinsi: province.name, correlations };
+  });
+
+  const national = Object.fromEntries(variables.map(variable => [
+    variable,
+    summarizeLags(lagValues.map(lag => ({
+      lag,
+      ...pearsonCorrelation(pooled[variable][lag].x, pooled[variable][lag].y, {
+        adjustment: removedMeans - 1,
+        effectiveN: pooled[variable][lag].effectiveN
+      })
+    })), alpha)
+  ]));
+
+  return { national, provinces: provinceResults };
+};
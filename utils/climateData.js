@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+import Climate from '../models/climate.model.js';
+import Province from '../models/province.model.js';
+
+export const CLIMATE_DEPENDENT_VARIABLE = 'produksi_padi';
+
+// Same order as A1..A8 in the climate model
+export const CLIMATE_VARIABLES = [
+  'curah_hujan',
+  'suhu_udara',
+  'radiasi_matahari',
+  'kelembaban_udara',
+  'tutupan_awan',
+  'kecepatan_angin',
+  'kelembaban_permukaan_tanah',
+  'kelembaban_zona_akar'
+];
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Months since year 0, so consecutive months differ by exactly 1 across year boundaries
+export const monthIndex = (tahun, bulan) => tahun * 12 + (bulan - 1);
+
+/**
+ * Parse a comma separated list of climate variables (defaults to all of them)
+ * @param {string|string[]} [value]
+ * @returns {{ variables: string[], invalid: string[] }}
+ */
+export const parseClimateVariables = (value) => {
+  if (value === undefined || value === '') return { variables: [...CLIMATE_VARIABLES], invalid: [] };
+
+  const names = (Array.isArray(value) ? value : String(value).split(','))
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  return {
+    variables: CLIMATE_VARIABLES.filter(name => names.includes(name)),
+    invalid: names.filter(name => !CLIMATE_VARIABLES.includes(name))
+  };
+};
+
+/**
+ * Load monthly Climate records grouped per province, in time order.
+ * Records with missing variables are reported in `skipped` instead of failing the whole load.
+ * @param {Object} [options]
+ * @param {string[]} [options.provinceIds] - Restrict to these provinces (default all)
+ * @param {number} [options.tahunMulai] - First year (inclusive)
+ * @param {number} [options.tahunSelesai] - Last year (inclusive)
+ * @returns {Promise<{ provinces: Array<{ provinceId, name: string, code: string, records: Array<{ tahun: number, bulan: number, y: number, x: number[] }> }>, skipped: Array }>}
+ */
+export const loadClimateSeries = async ({ provinceIds = null, tahunMulai, tahunSelesai } = {}) => {
+  const filter = {};
+  if (provinceIds) filter.provinceId = { $in: provinceIds.map(id => new mongoose.Types.ObjectId(id)) };
+  if (tahunMulai !== undefined || tahunSelesai !== undefined) {
+    filter.tahun = {};
+    if (tahunMulai !== undefined) filter.tahun.$gte = tahunMulai;
+    if (tahunSelesai !== undefined) filter.tahun.$lte = tahunSelesai;
+  }
+
+  const [records, provinceDocs] = await Promise.all([
+    Climate.find(filter).sort({ tahun: 1, bulan: 1 }).lean(),
+    Province.find(provinceIds ? { _id: { $in: provinceIds } } : {}, 'name code')
+  ]);
+
+  const provinceById = {};
+  provinceDocs.forEach(province => {
+    provinceById[province._id.toString()] = province;
+  });
+
+  const grouped = {};
+  const skipped = [];
+
+  records.forEach(record => {
+    const key = record.provinceId.toString();
+    const province = provinceById[key];
+    const y = record.dependent_variable?.[CLIMATE_DEPENDENT_VARIABLE];
+    const x = CLIMATE_VARIABLES.map(name => record.independent_variables?.[name]);
+
+    if (!province) {
+      skipped.push({ provinceId: record.provinceId, tahun: record.tahun, bulan: record.bulan, reason: 'Province document not found' });
+      return;
+    }
+
+    if (!isFiniteNumber(y) || !x.every(isFiniteNumber)) {
+      skipped.push({ provinsi: province.name, tahun: record.tahun, bulan: record.bulan, reason: 'Incomplete variables' });
+      return;
+    }
+
+    if (!grouped[key]) grouped[key] = [];
+    grouped[key].push({ tahun: record.tahun, bulan: record.bulan, y, x });
+  });
+
+  const provinces = Object.keys(grouped)
+    .map(key => ({
+      provinceId: provinceById[key]._id,
+      name: provinceById[key].name,
+      code: provinceById[key].code,
+      records: grouped[key]
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return { provinces, skipped };
+};
@@ -0,0 +1,133 @@
+import { fitOLS } from './spatialRegression.js';
+import { CLIMATE_VARIABLES, monthIndex } from './climateData.js';
+
+/**
+ * Regression of monthly rice production on climate variables.
+ *
+ * Each climate variable enters at every requested lag (in months). An observation is
+ * kept only when all of its lagged months are present for the same province, so gaps
+ * in the series drop observations rather than pairing the wrong months.
+ * With more than one province, province dummies absorb level differences (fixed effects).
+ */
+
+export const SEASONALITY_TYPES = ['none', 'month'];
+export const MAX_CLIMATE_LAG = 12;
+
+const termName = (variable, lag) => (lag === 0 ? variable : `${variable}_lag${lag}`);
+
+/**
+ * Build the design matrix for a climate regression
+ * @param {Array} provinces - Provinces from loadClimateSeries()
+ * @param {Object} options
+ * @param {string[]} options.variables - Climate variables to include
+ * @param {number[]} [options.lags=[0]] - Lags in months
+ * @param {string} [options.seasonality='none'] - none or month (month-of-year dummies, January as baseline)
+ * @returns {{ X: number[][], y: number[], terms: Array<{ term: string, type: string, variable?: string, lag?: number }>, observations: Array<{ provinceId, tahun: number, bulan: number }>, dropped: number }}
+ */
+export const buildClimateDesign = (provinces, { variables, lags = [0], seasonality = 'none' }) => {
+  const columns = variables.map(name => CLIMATE_VARIABLES.indexOf(name));
+  const panel = provinces.length > 1;
+
+  const terms = [{ term: 'intercept', type: 'intercept' }];
+  variables.forEach(variable => lags.forEach(lag => {
+    terms.push({ term: termName(variable, lag), type: 'climate', variable, lag });
+  }));
+  if (seasonality === 'month') {
+    for (let bulan = 2; bulan <= 12; bulan++) terms.push({ term: `bulan_${bulan}`, type: 'season', bulan });
+  }
+  if (panel) {
+    provinces.slice(1).forEach(province => {
+      terms.push({ term: `provinsi_${province.name}`, type: 'province', provinceId: province.provinceId });
+    });
+  }
+
+  const X = [];
+  const y = [];
+  const observations = [];
+  let dropped = 0;
+
+  provinces.forEach((province, p) => {
+    const byMonth = new Map(province.records.map(record => [monthIndex(record.tahun, record.bulan), record]));
+
+    province.records.forEach(record => {
+      const t = monthIndex(record.tahun, record.bulan);
+      const lagged = lags.map(lag => byMonth.get(t - lag));
+
+      if (lagged.some(entry => !entry)) {
+        dropped++;
+        return;
+      }
+
+      const row = [1];
+      columns.forEach(column => lagged.forEach(entry => row.push(entry.x[column])));
+      if (seasonality === 'month') {
+        for (let bulan = 2; bulan <= 12; bulan++) row.push(record.bulan === bulan ? 1 : 0);
+      }
+      if (panel) {
+        for (let q = 1; q < provinces.length; q++) row.push(p === q ? 1 : 0);
+      }
+
+      X.push(row);
+      y.push(record.y);
+      observations.push({ provinceId: province.provinceId, tahun: record.tahun, bulan: record.bulan });
+    });
+  });
+
+  return { X, y, terms, observations, dropped };
+};
+
+/**
+ * Fit a climate regression with OLS
+ * @param {Array} provinces - Provinces from loadClimateSeries()
+ * @param {Object} options - See buildClimateDesign()
+ * @param {number} [options.alpha=0.05] - Significance level for the `significant` flag
+ * @returns {Object} - Named coefficients, fit statistics and the Durbin-Watson statistic of the residuals
+ */
+export const fitClimateRegression = (provinces, { alpha = 0.05, ...options }) => {
+  const design = buildClimateDesign(provinces, options);
+  const { X, y, terms, observations, dropped } = design;
+
+  if (X.length <= terms.length) {
+    const error = new Error(`Not enough observations (${X.length}) for ${terms.length} regression terms`);
+    error.statusCode = 422;
+    throw error;
+  }
+
+  const ols = fitOLS(X, y);
+
+  // Durbin-Watson within each province's series; monthly production is usually autocorrelated
+  let squaredDifferences = 0;
+  ols.residuals.forEach((residual, i) => {
+    const previous = observations[i - 1];
+    if (i > 0 && previous.provinceId === observations[i].provinceId &&
+      monthIndex(previous.tahun, previous.bulan) === monthIndex(observations[i].tahun, observations[i].bulan) - 1) {
+      squaredDifferences += (residual - ols.residuals[i - 1]) ** 2;
+    }
+  });
+
+  return {
+    coefficients: terms.map((term, i) => ({
+      ...term,
+      ...ols.coefficients[i],
+      significant: ols.coefficients[i].pValue !== null && ols.coefficients[i].pValue < alpha
+    })),
+    fit: {
+      observations: ols.observations,
+      parameters: ols.parameters,
+      droppedForLags: dropped,
+      rSquared: ols.rSquared,
+      adjustedRSquared: ols.adjustedRSquared,
+      sigma: Math.sqrt(ols.sigma2),
+      rmse: Math.sqrt(ols.residualSumOfSquares / ols.observations),
+      logLikelihood: ols.logLikelihood,
+      aic: ols.aic,
+      durbinWatson: ols.residualSumOfSquares > 0 ? squaredDifferences / ols.residualSumOfSquares : null
+    },
+    fitted: observations.map((observation, i) => ({
+      ...observation,
+      actual: y[i],
+      fitted: ols.fitted[i],
+      residual: ols.residuals[i]
+    }))
+  };
+};
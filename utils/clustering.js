@@ -0,0 +1,353 @@
+import { DEPENDENT_VARIABLE, INDEPENDENT_VARIABLES } from './foodSecurityData.js';
+import { createRandom } from './statistics.js';
+
+/**
+ * Province clustering on standardized food security indicators.
+ */
+
+// Indicators used for clustering, in column order
+export const CLUSTERING_INDICATORS = [DEPENDENT_VARIABLE, ...INDEPENDENT_VARIABLES];
+
+/**
+ * Food security dimensions of cluster_summary and the indicators that make them up.
+ * direction -1 marks indicators where a higher value means worse food security,
+ * so every dimension score reads "higher is better".
+ */
+export const CLUSTER_DIMENSIONS = {
+  indikator_umum_ketahanan_pangan: [
+    { variable: 'prevalence_of_undernourishment', direction: -1 }
+  ],
+  ketersediaan: [
+    { variable: 'persentase_nilai_perdagangan_domestik', direction: 1 },
+    { variable: 'kepadatan_penduduk', direction: -1 }
+  ],
+  aksesibilitas: [
+    { variable: 'koefisien_gini', direction: -1 },
+    { variable: 'ketersediaan_infrastruktur_jalan', direction: 1 },
+    { variable: 'indeks_kemahalan_konstruksi', direction: -1 }
+  ],
+  pemanfaatan: [
+    { variable: 'indeks_pembangunan_manusia', direction: 1 }
+  ],
+  stabilitas: [
+    { variable: 'indeks_harga_implisit', direction: -1 },
+    { variable: 'indeks_demokrasi_indonesia', direction: 1 }
+  ]
+};
+
+/**
+ * Default lower bounds (in standard deviations from the national mean) of each
+ * status label. Scores below `kurang` are 'buruk'.
+ */
+export const DEFAULT_STATUS_THRESHOLDS = { baik: 0.5, sedang: 0, kurang: -0.5 };
+
+/**
+ * Build per-dimension thresholds from a request. Accepts either one scheme
+ * ({ baik, sedang, kurang }) for every dimension, or an object keyed by
+ * dimension where missing dimensions fall back to the defaults.
+ * @param {Object} [input]
+ * @returns {Object<string, { baik: number, sedang: number, kurang: number }>}
+ */
+export const resolveStatusThresholds = (input = null) => {
+  const dimensions = Object.keys(CLUSTER_DIMENSIONS);
+  const isSingleScheme = input && ['baik', 'sedang', 'kurang'].some(key => key in input);
+  const unknown = input && !isSingleScheme ? Object.keys(input).filter(key => !dimensions.includes(key)) : [];
+
+  if (unknown.length > 0) {
+    const error = new Error(`Unknown cluster_summary dimensions in thresholds: ${unknown.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const thresholds = {};
+  dimensions.forEach(dimension => {
+    const scheme = {
+      ...DEFAULT_STATUS_THRESHOLDS,
+      ...(isSingleScheme ? input : input?.[dimension])
+    };
+    const { baik, sedang, kurang } = scheme;
+
+    if (![baik, sedang, kurang].every(Number.isFinite) || !(baik > sedang && sedang > kurang)) {
+      const error = new Error(`Invalid thresholds for ${dimension}: baik > sedang > kurang must be numbers in descending order`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    thresholds[dimension] = { baik, sedang, kurang };
+  });
+
+  return thresholds;
+};
+
+// Status label of a dimension score
+export const getScoreStatus = (score, thresholds = DEFAULT_STATUS_THRESHOLDS) => {
+  if (score >= thresholds.baik) return 'baik';
+  if (score >= thresholds.sedang) return 'sedang';
+  if (score >= thresholds.kurang) return 'kurang';
+  return 'buruk';
+};
+
+/**
+ * Dimensions of a cluster_summary whose status does not match its score
+ * @param {Object} clusterSummary - cluster_summary of a clustering record
+ * @param {Object} thresholds - Result of resolveStatusThresholds()
+ * @returns {Array<{ dimension: string, status: string, expectedStatus: string, rata_rata_skor_standar: number }>}
+ */
+export const findStatusMismatches = (clusterSummary, thresholds) =>
+  Object.keys(CLUSTER_DIMENSIONS)
+    .filter(dimension => clusterSummary?.[dimension] && Number.isFinite(clusterSummary[dimension].rata_rata_skor_standar))
+    .map(dimension => {
+      const { status, rata_rata_skor_standar } = clusterSummary[dimension];
+      return {
+        dimension,
+        status,
+        expectedStatus: getScoreStatus(rata_rata_skor_standar, thresholds[dimension]),
+        rata_rata_skor_standar
+      };
+    })
+    .filter(item => item.status !== item.expectedStatus);
+
+export const squaredDistance = (a, b) => a.reduce((sum, value, i) => sum + (value - b[i]) ** 2, 0);
+
+/**
+ * Z-score every column (sample standard deviation)
+ * @param {number[][]} rows
+ * @returns {{ z: number[][], means: number[], sds: number[] }}
+ */
+export const standardize = (rows) => {
+  const n = rows.length;
+  const k = rows[0].length;
+  const means = new Array(k).fill(0).map((_, j) => rows.reduce((sum, row) => sum + row[j], 0) / n);
+  const sds = means.map((m, j) => {
+    const sd = Math.sqrt(rows.reduce((sum, row) => sum + (row[j] - m) ** 2, 0) / Math.max(1, n - 1));
+    return sd > 0 ? sd : 1;
+  });
+
+  return {
+    z: rows.map(row => row.map((value, j) => (value - means[j]) / sds[j])),
+    means,
+    sds
+  };
+};
+
+/**
+ * k-means with k-means++ seeding, keeping the best of several initialisations
+ * @param {number[][]} points
+ * @param {Object} options
+ * @param {number} options.k - Number of clusters
+ * @param {number} [options.seed=42]
+ * @param {number} [options.nInit=10]
+ * @param {number} [options.maxIterations=300]
+ * @returns {{ labels: number[], centroids: number[][], inertia: number, iterations: number }}
+ */
+export const kMeans = (points, { k, seed = 42, nInit = 10, maxIterations = 300 }) => {
+  const random = createRandom(seed);
+  let best = null;
+
+  for (let run = 0; run < nInit; run++) {
+    // k-means++ seeding
+    const centroids = [points[Math.floor(random() * points.length)]];
+    while (centroids.length < k) {
+      const d2 = points.map(p => Math.min(...centroids.map(c => squaredDistance(p, c))));
+      const total = d2.reduce((a, b) => a + b, 0);
+      let target = random() * total;
+      let index = 0;
+      while (index < d2.length - 1 && target >= d2[index]) {
+        target -= d2[index];
+        index++;
+      }
+      centroids.push(points[index]);
+    }
+
+    let labels = new Array(points.length).fill(-1);
+    let iterations = 0;
+
+    for (; iterations < maxIterations; iterations++) {
+      const nextLabels = points.map(p => {
+        let nearest = 0;
+        centroids.forEach((c, j) => {
+          if (squaredDistance(p, c) < squaredDistance(p, centroids[nearest])) nearest = j;
+        });
+        return nearest;
+      });
+
+      const changed = nextLabels.some((label, i) => label !== labels[i]);
+      labels = nextLabels;
+      if (!changed) break;
+
+      centroids.forEach((_, j) => {
+        const members = points.filter((_, i) => labels[i] === j);
+        if (members.length > 0) {
+          centroids[j] = members[0].map((_, d) => members.reduce((sum, m) => sum + m[d], 0) / members.length);
+        }
+      });
+    }
+
+    const inertia = points.reduce((sum, p, i) => sum + squaredDistance(p, centroids[labels[i]]), 0);
+    if (!best || inertia < best.inertia) {
+      best = { labels, centroids: centroids.map(c => [...c]), inertia, iterations };
+    }
+  }
+
+  return best;
+};
+
+/**
+ * DBSCAN; points that are not density reachable get label -1
+ * @param {number[][]} points
+ * @param {Object} options
+ * @param {number} options.eps - Neighbourhood radius in standardized units
+ * @param {number} options.minPts - Minimum neighbourhood size (including the point) for a core point
+ * @returns {{ labels: number[], corePoints: number }}
+ */
+export const dbscan = (points, { eps, minPts }) => {
+  const eps2 = eps * eps;
+  const neighbours = points.map(p =>
+    points.reduce((acc, q, j) => (squaredDistance(p, q) <= eps2 ? [...acc, j] : acc), [])
+  );
+  const isCore = neighbours.map(list => list.length >= minPts);
+  const labels = new Array(points.length).fill(null);
+  let cluster = 0;
+
+  points.forEach((_, i) => {
+    if (labels[i] !== null || !isCore[i]) return;
+
+    labels[i] = cluster;
+    const queue = [...neighbours[i]];
+    while (queue.length > 0) {
+      const j = queue.shift();
+      if (labels[j] !== null) continue;
+      labels[j] = cluster;
+      // Only core points extend the cluster; border points just join it
+      if (isCore[j]) queue.push(...neighbours[j]);
+    }
+    cluster++;
+  });
+
+  return {
+    labels: labels.map(label => (label === null ? -1 : label)),
+    corePoints: isCore.filter(Boolean).length
+  };
+};
+
+/**
+ * Average direction-adjusted standardized scores of each cluster_summary dimension
+ * @param {number[][]} zRows - Standardized indicator rows (CLUSTERING_INDICATORS order)
+ * @param {Object} [thresholds] - Result of resolveStatusThresholds()
+ * @returns {Object} - cluster_summary with status and rata_rata_skor_standar per dimension
+ */
+export const buildClusterSummary = (zRows, thresholds = resolveStatusThresholds()) => {
+  const summary = {};
+
+  Object.entries(CLUSTER_DIMENSIONS).forEach(([dimension, indicators]) => {
+    const scores = zRows.map(row => indicators.reduce((sum, { variable, direction }) =>
+      sum + direction * row[CLUSTERING_INDICATORS.indexOf(variable)], 0) / indicators.length);
+    const score = scores.reduce((a, b) => a + b, 0) / scores.length;
+
+    summary[dimension] = {
+      status: getScoreStatus(score, thresholds[dimension]),
+      rata_rata_skor_standar: score
+    };
+  });
+
+  return summary;
+};
+
+const euclidean = (a, b) => Math.sqrt(squaredDistance(a, b));
+
+const columnMeans = (rows) => rows[0].map((_, j) => rows.reduce((sum, row) => sum + row[j], 0) / rows.length);
+
+/**
+ * Mean silhouette width over all points (singleton clusters score 0)
+ * @param {number[][]} points
+ * @param {number[]} labels - Cluster label per point; outliers should be removed first
+ * @returns {{ score: number|null, values: number[] }}
+ */
+export const silhouetteScore = (points, labels) => {
+  const clusters = [...new Set(labels)];
+  if (clusters.length < 2) return { score: null, values: [] };
+
+  const values = points.map((p, i) => {
+    const meanDistanceTo = (label) => {
+      const others = points.filter((_, j) => labels[j] === label && j !== i);
+      return others.length > 0 ? others.reduce((sum, q) => sum + euclidean(p, q), 0) / others.length : 0;
+    };
+
+    const ownSize = labels.filter(label => label === labels[i]).length;
+    if (ownSize === 1) return 0;
+
+    const a = meanDistanceTo(labels[i]);
+    const b = Math.min(...clusters.filter(label => label !== labels[i]).map(meanDistanceTo));
+    return Math.max(a, b) > 0 ? (b - a) / Math.max(a, b) : 0;
+  });
+
+  return { score: values.reduce((a, b) => a + b, 0) / values.length, values };
+};
+
+/**
+ * Davies-Bouldin index (lower is better)
+ * @param {number[][]} points
+ * @param {number[]} labels - Cluster label per point; outliers should be removed first
+ * @returns {number|null}
+ */
+export const daviesBouldinIndex = (points, labels) => {
+  const clusters = [...new Set(labels)];
+  if (clusters.length < 2) return null;
+
+  const stats = clusters.map(label => {
+    const members = points.filter((_, i) => labels[i] === label);
+    const centroid = columnMeans(members);
+    const scatter = members.reduce((sum, m) => sum + euclidean(m, centroid), 0) / members.length;
+    return { centroid, scatter };
+  });
+
+  const total = stats.reduce((sum, a, i) => sum + Math.max(...stats
+    .filter((_, j) => j !== i)
+    .map(b => {
+      const separation = euclidean(a.centroid, b.centroid);
+      return separation > 0 ? (a.scatter + b.scatter) / separation : Infinity;
+    })), 0);
+
+  return total / clusters.length;
+};
+
+/**
+ * Profile every cluster: size, centroid in original and standardized units and
+ * the indicators that set it apart most from the national average
+ * @param {number[][]} rows - Raw indicator rows (CLUSTERING_INDICATORS order)
+ * @param {number[][]} zRows - Standardized rows
+ * @param {number[]} labels - Cluster label per row (-1 for outliers)
+ * @param {number} [top=3] - Number of distinguishing indicators to return
+ * @returns {Array}
+ */
+export const profileClusters = (rows, zRows, labels, top = 3) => {
+  const nationalMeans = columnMeans(rows);
+
+  return [...new Set(labels)].sort((a, b) => a - b).map(label => {
+    const indices = labels.map((l, i) => (l === label ? i : -1)).filter(i => i !== -1);
+    const centroid = columnMeans(indices.map(i => rows[i]));
+    const standardizedCentroid = columnMeans(indices.map(i => zRows[i]));
+
+    const toObject = (values) => Object.fromEntries(CLUSTERING_INDICATORS.map((name, j) => [name, values[j]]));
+
+    const distinguishingIndicators = CLUSTERING_INDICATORS
+      .map((indicator, j) => ({
+        indicator,
+        zScore: standardizedCentroid[j],
+        direction: standardizedCentroid[j] >= 0 ? 'higher' : 'lower',
+        clusterMean: centroid[j],
+        nationalMean: nationalMeans[j]
+      }))
+      .sort((a, b) => Math.abs(b.zScore) - Math.abs(a.zScore))
+      .slice(0, top);
+
+    return {
+      cluster_id: label,
+      size: indices.length,
+      indices,
+      centroid: toObject(centroid),
+      standardizedCentroid: toObject(standardizedCentroid),
+      distinguishingIndicators
+    };
+  });
+};
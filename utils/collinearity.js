@@ -0,0 +1,93 @@
+import { invert, symmetricEigenvalues } from './matrix.js';
+
+/**
+ * Multicollinearity diagnostics for a set of independent variables.
+ * The condition number is taken from the correlation matrix of the standardized
+ * variables, sqrt(largest / smallest eigenvalue), so it does not depend on units.
+ */
+
+export const VIF_WARNING = 10;
+export const CONDITION_NUMBER_WARNING = 30;
+export const CORRELATION_WARNING = 0.8;
+
+/**
+ * Pearson correlation matrix of the columns of `rows`, optionally with observation weights
+ * @param {number[][]} rows
+ * @param {number[]} [weights]
+ * @returns {number[][]}
+ */
+export const correlationMatrix = (rows, weights = null) => {
+  const k = rows[0].length;
+  const w = weights || rows.map(() => 1);
+  const sumW = w.reduce((a, b) => a + b, 0);
+  const means = new Array(k).fill(0).map((_, j) => rows.reduce((sum, row, i) => sum + w[i] * row[j], 0) / sumW);
+
+  const covariance = Array.from({ length: k }, () => new Array(k).fill(0));
+  rows.forEach((row, i) => {
+    if (w[i] === 0) return;
+    for (let a = 0; a < k; a++) {
+      const da = row[a] - means[a];
+      for (let b = a; b < k; b++) {
+        covariance[a][b] += w[i] * da * (row[b] - means[b]);
+      }
+    }
+  });
+
+  return covariance.map((row, a) => row.map((_, b) => {
+    const value = a <= b ? covariance[a][b] : covariance[b][a];
+    const scale = Math.sqrt(covariance[a][a] * covariance[b][b]);
+    if (a === b) return 1;
+    return scale > 0 ? value / scale : 0;
+  }));
+};
+
+/**
+ * VIFs (diagonal of the inverse correlation matrix) and condition number
+ * @param {number[][]} correlation - Correlation matrix
+ * @returns {{ vif: Array<number|null>, conditionNumber: number|null }} - null VIFs mean perfect collinearity
+ */
+export const collinearityFromCorrelation = (correlation) => {
+  const inverse = invert(correlation);
+  const eigenvalues = symmetricEigenvalues(correlation);
+  const smallest = eigenvalues[eigenvalues.length - 1];
+
+  return {
+    vif: correlation.map((_, j) => (inverse ? inverse[j][j] : null)),
+    conditionNumber: smallest > 1e-12 ? Math.sqrt(eigenvalues[0] / smallest) : null
+  };
+};
+
+/**
+ * Warnings for high VIFs, condition numbers and pairwise correlations
+ * @param {Object} diagnostics
+ * @param {string[]} diagnostics.variables
+ * @param {number[][]} [diagnostics.correlation]
+ * @param {Array<number|null>} diagnostics.vif
+ * @param {number|null} diagnostics.conditionNumber
+ * @returns {string[]}
+ */
+export const collinearityWarnings = ({ variables, correlation = null, vif, conditionNumber }) => {
+  const warnings = [];
+
+  if (correlation) {
+    variables.forEach((a, i) => variables.slice(i + 1).forEach((b, offset) => {
+      const r = correlation[i][i + 1 + offset];
+      if (Math.abs(r) >= CORRELATION_WARNING) {
+        warnings.push(`${a} and ${b} are highly correlated (r = ${r.toFixed(2)})`);
+      }
+    }));
+  }
+
+  vif.forEach((value, j) => {
+    if (value === null) warnings.push(`${variables[j]} is perfectly collinear with the other variables`);
+    else if (value >= VIF_WARNING) warnings.push(`${variables[j]} has VIF ${value.toFixed(1)} (>= ${VIF_WARNING})`);
+  });
+
+  if (conditionNumber === null) {
+    warnings.push('Correlation matrix is singular (infinite condition number)');
+  } else if (conditionNumber >= CONDITION_NUMBER_WARNING) {
+    warnings.push(`Condition number ${conditionNumber.toFixed(1)} (>= ${CONDITION_NUMBER_WARNING}) indicates serious multicollinearity`);
+  }
+
+  return warnings;
+};
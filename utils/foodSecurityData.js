@@ -0,0 +1,82 @@
+import FoodSecurity from '../models/foodsecurity.model.js';
+import Province from '../models/province.model.js';
+import { getProvinceCentroids } from './spatial.js';
+
+export const DEPENDENT_VARIABLE = 'prevalence_of_undernourishment';
+
+// Same order as X1..X8 in the food security model
+export const INDEPENDENT_VARIABLES = [
+  'persentase_nilai_perdagangan_domestik',
+  'indeks_harga_implisit',
+  'koefisien_gini',
+  'indeks_pembangunan_manusia',
+  'kepadatan_penduduk',
+  'ketersediaan_infrastruktur_jalan',
+  'indeks_kemahalan_konstruksi',
+  'indeks_demokrasi_indonesia'
+];
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Load FoodSecurity records for a year range grouped per province, joined with
+ * the Province document and its centroid from province_38.json.
+ * Records with missing variables and provinces without a Province document or
+ * geometry are reported in `skipped` instead of failing the whole load.
+ * @param {number} tahunMulai - First year (inclusive)
+ * @param {number} tahunSelesai - Last year (inclusive)
+ * @returns {Promise<{ provinces: Array, skipped: Array }>}
+ */
+export const loadFoodSecurityPanel = async (tahunMulai, tahunSelesai) => {
+  const [records, provinceDocs] = await Promise.all([
+    FoodSecurity.find({ tahun: { $gte: tahunMulai, $lte: tahunSelesai } }).sort({ provinsi: 1, tahun: 1 }),
+    Province.find({}, 'name code')
+  ]);
+
+  const centroids = getProvinceCentroids();
+  const provinceByName = {};
+  provinceDocs.forEach(province => {
+    provinceByName[province.name] = province;
+  });
+
+  const grouped = {};
+  const skipped = [];
+
+  records.forEach(record => {
+    const y = record.dependent_variable?.[DEPENDENT_VARIABLE];
+    const x = INDEPENDENT_VARIABLES.map(name => record.independent_variables?.[name]);
+
+    if (!isFiniteNumber(y) || !x.every(isFiniteNumber)) {
+      skipped.push({ provinsi: record.provinsi, tahun: record.tahun, reason: 'Incomplete variables' });
+      return;
+    }
+
+    if (!grouped[record.provinsi]) grouped[record.provinsi] = [];
+    grouped[record.provinsi].push({ tahun: record.tahun, y, x });
+  });
+
+  const provinces = [];
+
+  Object.keys(grouped).sort().forEach(name => {
+    const province = provinceByName[name];
+    if (!province) {
+      skipped.push({ provinsi: name, reason: 'Province document not found' });
+      return;
+    }
+
+    if (!centroids[name]) {
+      skipped.push({ provinsi: name, reason: 'Province geometry not found in province_38.json' });
+      return;
+    }
+
+    provinces.push({
+      provinceId: province._id,
+      name,
+      code: province.code,
+      centroid: centroids[name],
+      records: grouped[name]
+    });
+  });
+
+  return { provinces, skipped };
+};
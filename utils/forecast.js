@@ -0,0 +1,143 @@
+import { normalQuantile } from './statistics.js';
+
+/**
+ * Additive Holt-Winters (ETS(A,A,A)) exponential smoothing for monthly series.
+ *
+ * Written in error-correction form:
+ *   l_t = l_{t-1} + b_{t-1} + α e_t,  b_t = b_{t-1} + β e_t,  s_t = s_{t-m} + γ e_t
+ * with 0 ≤ β ≤ α and 0 ≤ γ ≤ 1 - α. Smoothing parameters minimise the one-step-ahead
+ * squared error; prediction intervals use the analytic ETS variance
+ *   σ²_h = σ² (1 + Σ_{j=1}^{h-1} (α + βj + γ·[j mod m = 0])²).
+ */
+
+export const SEASONAL_PERIOD = 12;
+
+// Initial level, trend and seasonal indices from the first two seasons
+const initialState = (y, m) => {
+  const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+  const first = mean(y.slice(0, m));
+  const second = mean(y.slice(m, 2 * m));
+
+  return {
+    level: first,
+    trend: (second - first) / m,
+    seasonal: y.slice(0, m).map(value => value - first)
+  };
+};
+
+// Run the recursions from the end of the first season; returns the one-step errors and final state
+const smooth = (y, m, { alpha, beta, gamma }) => {
+  const { level: l0, trend: b0, seasonal: s0 } = initialState(y, m);
+  let level = l0 + (m - 1) * b0;
+  let trend = b0;
+  const seasonal = [...s0];
+  const errors = [];
+
+  for (let t = m; t < y.length; t++) {
+    const s = seasonal[t % m];
+    const error = y[t] - (level + trend + s);
+    errors.push(error);
+
+    level = level + trend + alpha * error;
+    trend = trend + beta * error;
+    seasonal[t % m] = s + gamma * error;
+  }
+
+  return { errors, level, trend, seasonal };
+};
+
+const sumOfSquares = (values) => values.reduce((sum, value) => sum + value * value, 0);
+
+const range = (from, to, step) => {
+  const values = [];
+  for (let v = from; v <= to + 1e-9; v += step) values.push(Math.round(v * 1e6) / 1e6);
+  return values;
+};
+
+// α on a grid, β and γ as fractions of their admissible ranges; a coarse grid, then a finer one around the best point
+const optimiseParameters = (y, m) => {
+  let best = null;
+
+  const search = (alphas, betaFractions, gammaFractions) => {
+    alphas.forEach(alpha => betaFractions.forEach(bf => gammaFractions.forEach(gf => {
+      const parameters = { alpha, beta: alpha * bf, gamma: (1 - alpha) * gf };
+      const sse = sumOfSquares(smooth(y, m, parameters).errors);
+      if (Number.isFinite(sse) && (!best || sse < best.sse)) best = { parameters, sse, bf, gf };
+    })));
+  };
+
+  search(range(0.05, 0.95, 0.05), range(0, 1, 0.1), range(0, 1, 0.1));
+
+  const { parameters: { alpha }, bf, gf } = best;
+  search(
+    range(Math.max(0.01, alpha - 0.04), Math.min(0.99, alpha + 0.04), 0.01),
+    range(Math.max(0, bf - 0.08), Math.min(1, bf + 0.08), 0.02),
+    range(Math.max(0, gf - 0.08), Math.min(1, gf + 0.08), 0.02)
+  );
+
+  return best;
+};
+
+/**
+ * Fit additive Holt-Winters to a contiguous series
+ * @param {number[]} y - Observations in time order without gaps
+ * @param {Object} [options]
+ * @param {number} [options.period=12] - Season length
+ * @returns {{ alpha: number, beta: number, gamma: number, sigma2: number, level: number, trend: number, seasonal: number[], nextIndex: number, errors: number[], period: number }}
+ */
+export const fitHoltWinters = (y, { period = SEASONAL_PERIOD } = {}) => {
+  if (y.length < 2 * period + 1) {
+    const error = new Error(`At least ${2 * period + 1} consecutive observations are required for Holt-Winters (got ${y.length})`);
+    error.statusCode = 422;
+    throw error;
+  }
+
+  const { parameters } = optimiseParameters(y, period);
+  const { errors, level, trend, seasonal } = smooth(y, period, parameters);
+  const degreesOfFreedom = Math.max(1, errors.length - 3);
+
+  return {
+    ...parameters,
+    sigma2: sumOfSquares(errors) / degreesOfFreedom,
+    level,
+    trend,
+    seasonal,
+    nextIndex: y.length,
+    errors,
+    period
+  };
+};
+
+/**
+ * Point forecasts and prediction intervals h = 1..horizon steps ahead
+ * @param {Object} model - Result of fitHoltWinters()
+ * @param {number} horizon
+ * @param {number} [confidence=0.95]
+ * @returns {Array<{ step: number, forecast: number, standardError: number, lower: number, upper: number }>}
+ */
+export const forecastHoltWinters = (model, horizon, confidence = 0.95) => {
+  const { alpha, beta, gamma, sigma2, level, trend, seasonal, nextIndex, period } = model;
+  const z = normalQuantile(1 - (1 - confidence) / 2);
+  const forecasts = [];
+  let cumulative = 0;
+
+  for (let h = 1; h <= horizon; h++) {
+    if (h > 1) {
+      const j = h - 1;
+      cumulative += (alpha + beta * j + (j % period === 0 ? gamma : 0)) ** 2;
+    }
+
+    const forecast = level + h * trend + seasonal[(nextIndex + h - 1) % period];
+    const standardError = Math.sqrt(sigma2 * (1 + cumulative));
+
+    forecasts.push({
+      step: h,
+      forecast,
+      standardError,
+      lower: forecast - z * standardError,
+      upper: forecast + z * standardError
+    });
+  }
+
+  return forecasts;
+};
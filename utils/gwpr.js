@@ -0,0 +1,573 @@
+import { invert, multiply, multiplyVector, dot, weightedCrossProducts } from './matrix.js';
+import { getDistanceMatrix } from './spatial.js';
+import { tTestPValue } from './statistics.js';
+import { correlationMatrix, collinearityFromCorrelation } from './collinearity.js';
+
+/**
+ * Geographically Weighted Panel Regression (fixed effects).
+ *
+ * Each province's series is demeaned over time (within transformation), so the
+ * province fixed effect drops out and no intercept is estimated. A weighted
+ * least squares regression is then fitted at every province location, using a
+ * kernel of the centroid distance to weight all observations of the other
+ * provinces.
+ */
+
+export const KERNELS = {
+  gaussian: (distance, bandwidth) => Math.exp(-0.5 * (distance / bandwidth) ** 2),
+  exponential: (distance, bandwidth) => Math.exp(-distance / bandwidth),
+  bisquare: (distance, bandwidth) => distance < bandwidth ? (1 - (distance / bandwidth) ** 2) ** 2 : 0
+};
+
+export const BANDWIDTH_CRITERIA = ['aicc', 'cv'];
+
+export const SIGNIFICANCE_CORRECTIONS = ['fotheringham', 'bonferroni', 'fdr', 'none'];
+
+/**
+ * Kernel weight of every location as seen from location i.
+ * Fixed bandwidths are distances in kilometres; adaptive bandwidths are a
+ * number of nearest neighbouring provinces, so the kernel radius at i is the
+ * distance to its k-th nearest neighbour.
+ */
+export const getLocationWeights = (distances, i, bandwidth, { kernel = 'gaussian', adaptive = false } = {}) => {
+  const kernelFn = KERNELS[kernel];
+  let radius = bandwidth;
+
+  if (adaptive) {
+    const sorted = [...distances[i]].sort((a, b) => a - b);
+    radius = sorted[Math.min(bandwidth, sorted.length - 1)];
+    // Bisquare gives the k-th neighbour zero weight, so nudge the radius past it
+    if (kernel === 'bisquare') radius *= 1 + 1e-9;
+  }
+
+  return distances[i].map(d => kernelFn(d, radius));
+};
+
+/**
+ * Build the demeaned panel design from loadFoodSecurityPanel() provinces
+ * @param {Array} provinces - Provinces with `records: [{ tahun, y, x }]`
+ * @returns {{ X: number[][], y: number[], location: number[], scale: number[] }}
+ */
+export const buildWithinDesign = (provinces) => {
+  const X = [];
+  const y = [];
+  const location = [];
+
+  provinces.forEach((province, index) => {
+    const T = province.records.length;
+    const yMean = province.records.reduce((sum, r) => sum + r.y, 0) / T;
+    const xMean = province.records[0].x.map((_, k) =>
+      province.records.reduce((sum, r) => sum + r.x[k], 0) / T
+    );
+
+    province.records.forEach(record => {
+      X.push(record.x.map((value, k) => value - xMean[k]));
+      y.push(record.y - yMean);
+      location.push(index);
+    });
+  });
+
+  // Scale columns to unit variance so X'WX stays well conditioned
+  const k = X[0] ? X[0].length : 0;
+  const scale = new Array(k).fill(0).map((_, j) => {
+    const variance = X.reduce((sum, row) => sum + row[j] ** 2, 0) / X.length;
+    return variance > 0 ? Math.sqrt(variance) : 1;
+  });
+
+  return {
+    X: X.map(row => row.map((value, j) => value / scale[j])),
+    y,
+    location,
+    scale
+  };
+};
+
+// Weighted least squares at location i, or null when X'WX is singular
+const fitLocation = (design, locationWeights) => {
+  const { X, y, location } = design;
+  const weights = location.map(loc => locationWeights[loc]);
+  const { XtWX, XtWy } = weightedCrossProducts(X, y, weights);
+  const inverse = invert(XtWX);
+
+  if (!inverse) return null;
+
+  return { beta: multiplyVector(inverse, XtWy), inverse, weights };
+};
+
+// AICc (Hurvich et al.) from the residual sum of squares and trace of the hat matrix
+const computeAICc = (n, rss, traceS) => {
+  if (n - 2 - traceS <= 0 || rss <= 0) return null;
+  return n * Math.log(rss / n) + n * Math.log(2 * Math.PI) + n * (n + traceS) / (n - 2 - traceS);
+};
+
+/**
+ * Score a candidate bandwidth by AICc or leave-one-province-out cross-validation.
+ * Returns Infinity when some local regression cannot be fitted.
+ */
+const scoreBandwidth = (design, distances, bandwidth, options, criterion) => {
+  const { X, y, location } = design;
+  let rss = 0;
+  let traceS = 0;
+
+  for (let i = 0; i < distances.length; i++) {
+    const locationWeights = getLocationWeights(distances, i, bandwidth, options);
+
+    // CV drops every year of province i from its own local fit
+    if (criterion === 'cv') locationWeights[i] = 0;
+
+    const fit = fitLocation(design, locationWeights);
+    if (!fit) return Infinity;
+
+    X.forEach((row, j) => {
+      if (location[j] !== i) return;
+      rss += (y[j] - dot(row, fit.beta)) ** 2;
+      if (criterion === 'aicc') traceS += dot(row, multiplyVector(fit.inverse, row));
+    });
+  }
+
+  if (criterion === 'cv') return rss;
+
+  const aicc = computeAICc(y.length, rss, traceS);
+  return aicc === null ? Infinity : aicc;
+};
+
+/**
+ * Select the bandwidth minimising AICc or CV with a golden section search.
+ * Every evaluated bandwidth is returned in `curve` so the choice can be audited.
+ * @param {Object} options
+ * @param {Array} options.provinces - Provinces from loadFoodSecurityPanel()
+ * @param {string} [options.kernel='gaussian'] - gaussian, bisquare or exponential
+ * @param {boolean} [options.adaptive=false] - Nearest neighbour count instead of kilometres
+ * @param {string} [options.criterion='aicc'] - aicc or cv
+ * @param {number} [options.min] - Lower search bound
+ * @param {number} [options.max] - Upper search bound
+ * @returns {{ bandwidth: number, score: number, curve: Array<{ bandwidth: number, score: number|null }> }}
+ */
+export const selectGWPRBandwidth = ({ provinces, kernel = 'gaussian', adaptive = false, criterion = 'aicc', min, max }) => {
+  const design = buildWithinDesign(provinces);
+  const distances = getDistanceMatrix(provinces.map(p => p.centroid));
+  const options = { kernel, adaptive };
+
+  let lower = min;
+  let upper = max;
+  if (adaptive) {
+    lower = Math.max(2, Math.round(lower ?? 2));
+    upper = Math.min(provinces.length - 1, Math.round(upper ?? provinces.length - 1));
+  } else {
+    // Every province should reach at least its nearest neighbour at the lower bound
+    const nearest = distances.map(row => Math.min(...row.filter(d => d > 0)));
+    lower = lower ?? Math.max(...nearest);
+    upper = upper ?? Math.max(...distances.map(row => Math.max(...row)));
+  }
+
+  if (!(lower < upper)) {
+    const error = new Error('Invalid bandwidth search range');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const scores = new Map();
+  const evaluate = (bandwidth) => {
+    const key = adaptive ? Math.round(bandwidth) : bandwidth;
+    if (!scores.has(key)) {
+      scores.set(key, scoreBandwidth(design, distances, key, options, criterion));
+    }
+    return scores.get(key);
+  };
+
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  const tolerance = adaptive ? 1 : (upper - lower) * 1e-3;
+  let a = lower;
+  let b = upper;
+  let c = b - ratio * (b - a);
+  let d = a + ratio * (b - a);
+  let fc = evaluate(c);
+  let fd = evaluate(d);
+  evaluate(lower);
+  evaluate(upper);
+
+  while (Math.abs(b - a) > tolerance) {
+    if (fc < fd) {
+      b = d;
+      d = c;
+      fd = fc;
+      c = b - ratio * (b - a);
+      fc = evaluate(c);
+    } else {
+      a = c;
+      c = d;
+      fc = fd;
+      d = a + ratio * (b - a);
+      fd = evaluate(d);
+    }
+  }
+
+  const curve = [...scores.entries()]
+    .sort((p, q) => p[0] - q[0])
+    .map(([bandwidth, score]) => ({ bandwidth, score: Number.isFinite(score) ? score : null }));
+
+  const best = curve.reduce((acc, point) =>
+    point.score !== null && (acc === null || point.score < acc.score) ? point : acc, null);
+
+  if (!best) {
+    const error = new Error('No bandwidth in the search range produced a valid GWPR fit');
+    error.statusCode = 422;
+    throw error;
+  }
+
+  return { bandwidth: best.bandwidth, score: best.score, curve };
+};
+
+/**
+ * Fit GWPR at every province location
+ * @param {Object} options
+ * @param {Array} options.provinces - Provinces from loadFoodSecurityPanel()
+ * @param {number} options.bandwidth - Kilometres, or nearest neighbour count when adaptive
+ * @param {string} [options.kernel='gaussian'] - gaussian, bisquare or exponential
+ * @param {boolean} [options.adaptive=false] - Use an adaptive (nearest neighbour) bandwidth
+ * @returns {Object} - Local estimates per province and global diagnostics
+ */
+export const fitGWPR = ({ provinces, bandwidth, kernel = 'gaussian', adaptive = false }) => {
+  const design = buildWithinDesign(provinces);
+  const { X, y, location, scale } = design;
+  const n = y.length;
+  const k = scale.length;
+  const distances = getDistanceMatrix(provinces.map(p => p.centroid));
+
+  const fitted = new Array(n).fill(0);
+  let traceS = 0;
+
+  const local = provinces.map((province, i) => {
+    const fit = fitLocation(design, getLocationWeights(distances, i, bandwidth, { kernel, adaptive }));
+
+    if (!fit) {
+      const error = new Error(`Local design matrix is singular for ${province.name}; try a larger bandwidth`);
+      error.statusCode = 422;
+      throw error;
+    }
+
+    const { beta, inverse, weights } = fit;
+
+    // Var(beta_i) = sigma^2 * C C' with C = (X'WX)^-1 X'W, so keep (X'WX)^-1 X'W^2X (X'WX)^-1
+    const { XtWX: XtW2X } = weightedCrossProducts(X, y, weights.map(w => w * w));
+    const covarianceFactor = multiply(multiply(inverse, XtW2X), inverse);
+
+    // Local weighted goodness of fit (as reported by GWR4)
+    const sumW = weights.reduce((a, b) => a + b, 0);
+    const yWeightedMean = weights.reduce((sum, w, j) => sum + w * y[j], 0) / sumW;
+    let rss = 0;
+    let tss = 0;
+    X.forEach((row, j) => {
+      const residual = y[j] - dot(row, beta);
+      rss += weights[j] * residual ** 2;
+      tss += weights[j] * (y[j] - yWeightedMean) ** 2;
+    });
+
+    const rSquared = tss > 0 ? 1 - rss / tss : 0;
+    const adjustedRSquared = sumW - k - 1 > 0 ? 1 - (1 - rSquared) * (sumW - 1) / (sumW - k - 1) : null;
+
+    // Fitted values and hat matrix diagonal for this location's own observations
+    X.forEach((row, j) => {
+      if (location[j] !== i) return;
+      fitted[j] = dot(row, beta);
+      traceS += dot(row, multiplyVector(inverse, row));
+    });
+
+    return {
+      provinceId: province.provinceId,
+      name: province.name,
+      observations: province.records.length,
+      coefficients: beta.map((b, j) => b / scale[j]),
+      covarianceDiagonal: covarianceFactor.map((row, j) => row[j] / scale[j] ** 2),
+      rSquared,
+      adjustedRSquared,
+      effectiveSampleSize: sumW
+    };
+  });
+
+  const yMean = y.reduce((a, b) => a + b, 0) / n;
+  const rss = y.reduce((sum, value, j) => sum + (value - fitted[j]) ** 2, 0);
+  const tss = y.reduce((sum, value) => sum + (value - yMean) ** 2, 0);
+
+  // Local standard errors and t-values using the effective residual degrees of freedom
+  const residualDf = n - traceS;
+  const sigma2 = residualDf > 0 ? rss / residualDf : NaN;
+
+  const estimates = local.map(({ covarianceDiagonal, ...estimate }) => {
+    const standardErrors = covarianceDiagonal.map(v => Math.sqrt(sigma2 * v));
+    const tValues = estimate.coefficients.map((b, j) => standardErrors[j] > 0 ? b / standardErrors[j] : null);
+
+    return {
+      ...estimate,
+      standardErrors,
+      tValues,
+      pValues: tValues.map(t => t === null || !(residualDf > 0) ? null : tTestPValue(t, residualDf))
+    };
+  });
+
+  return {
+    local: estimates,
+    // Within-transformed residuals in buildWithinDesign() order (province by province, year by year)
+    residuals: y.map((value, j) => value - fitted[j]),
+    diagnostics: {
+      observations: n,
+      provinces: provinces.length,
+      bandwidth,
+      kernel,
+      bandwidthType: adaptive ? 'adaptive' : 'fixed',
+      residualSumOfSquares: rss,
+      rSquared: tss > 0 ? 1 - rss / tss : 0,
+      effectiveParameters: traceS,
+      residualDegreesOfFreedom: residualDf,
+      sigma: Math.sqrt(sigma2),
+      aicc: computeAICc(n, rss, traceS)
+    }
+  };
+};
+
+/**
+ * Local VIFs and condition number at every province: the kernel-weighted correlation
+ * of the within-transformed variables that each local regression actually sees
+ * @param {Object} options
+ * @param {Array} options.provinces - Provinces from loadFoodSecurityPanel()
+ * @param {number} options.bandwidth
+ * @param {string} [options.kernel='gaussian']
+ * @param {boolean} [options.adaptive=false]
+ * @returns {Array<{ vif: Array<number|null>, conditionNumber: number|null }>} - In province order
+ */
+export const localCollinearity = ({ provinces, bandwidth, kernel = 'gaussian', adaptive = false }) => {
+  const { X, location } = buildWithinDesign(provinces);
+  const distances = getDistanceMatrix(provinces.map(p => p.centroid));
+
+  return provinces.map((_, i) => {
+    const locationWeights = getLocationWeights(distances, i, bandwidth, { kernel, adaptive });
+    return collinearityFromCorrelation(correlationMatrix(X, location.map(loc => locationWeights[loc])));
+  });
+};
+
+export const CV_HOLDOUTS = ['province', 'year'];
+
+/**
+ * Out-of-sample predictions leaving out one province or one year at a time.
+ * model 'gwpr' refits the local regression of each province; 'ols' is the global
+ * fixed effects regression (every location weighted 1).
+ * A held-out province's own outcomes are never used: its fixed effect is the
+ * kernel-weighted mean of the training provinces' fixed effects (a plain mean for
+ * 'ols'), so the errors include how well its level is predicted from its neighbours.
+ * A held-out year is demeaned with the remaining years only.
+ * @param {Object} options
+ * @param {Array} options.provinces - Provinces from loadFoodSecurityPanel()
+ * @param {string} [options.holdout='province'] - province or year
+ * @param {string} [options.model='gwpr'] - gwpr or ols
+ * @param {number} [options.bandwidth] - Required for gwpr
+ * @param {string} [options.kernel='gaussian']
+ * @param {boolean} [options.adaptive=false]
+ * @returns {Array<{ provinceId, name: string, tahun: number, actual: number, predicted: number, error: number }>}
+ */
+export const crossValidatePanel = ({
+  provinces,
+  holdout = 'province',
+  model = 'gwpr',
+  bandwidth,
+  kernel = 'gaussian',
+  adaptive = false
+}) => {
+  const weightsAt = (distances, i) => (model === 'ols'
+    ? new Array(distances.length).fill(1)
+    : getLocationWeights(distances, i, bandwidth, { kernel, adaptive }));
+
+  const fitOrThrow = (design, locationWeights, label) => {
+    const fit = fitLocation(design, locationWeights);
+    if (!fit) {
+      const error = new Error(`Design matrix is singular when leaving out ${label}; try a larger bandwidth`);
+      error.statusCode = 422;
+      throw error;
+    }
+    return fit;
+  };
+
+  const means = (records) => ({
+    y: records.reduce((sum, r) => sum + r.y, 0) / records.length,
+    x: records[0].x.map((_, j) => records.reduce((sum, r) => sum + r.x[j], 0) / records.length)
+  });
+
+  const predictions = [];
+
+  if (holdout === 'province') {
+    const design = buildWithinDesign(provinces);
+    const distances = getDistanceMatrix(provinces.map(p => p.centroid));
+
+    const provinceMeans = provinces.map(province => means(province.records));
+    const scaled = (x) => x.map((value, j) => value / design.scale[j]);
+
+    provinces.forEach((province, i) => {
+      const locationWeights = weightsAt(distances, i);
+      locationWeights[i] = 0;
+      const fit = fitOrThrow(design, locationWeights, province.name);
+
+      // Fixed effects y_j - x_j'beta of the training provinces, averaged with the location weights
+      // (equally when a bounded kernel gives every other province zero weight)
+      const hasWeight = locationWeights.some(w => w > 0);
+      let weightSum = 0;
+      let fixedEffect = 0;
+      provinceMeans.forEach((mean, j) => {
+        if (j === i) return;
+        const w = hasWeight ? locationWeights[j] : 1;
+        weightSum += w;
+        fixedEffect += w * (mean.y - dot(scaled(mean.x), fit.beta));
+      });
+      fixedEffect /= weightSum;
+
+      province.records.forEach(record => {
+        predictions.push({
+          provinceId: province.provinceId,
+          name: province.name,
+          tahun: record.tahun,
+          actual: record.y,
+          predicted: fixedEffect + dot(scaled(record.x), fit.beta)
+        });
+      });
+    });
+  } else {
+    const years = [...new Set(provinces.flatMap(p => p.records.map(r => r.tahun)))].sort((a, b) => a - b);
+
+    years.forEach(tahun => {
+      const training = provinces
+        .map(p => ({ ...p, records: p.records.filter(r => r.tahun !== tahun) }))
+        .filter(p => p.records.length >= 2);
+      if (training.length === 0) return;
+
+      const design = buildWithinDesign(training);
+      const distances = getDistanceMatrix(training.map(p => p.centroid));
+      const globalFit = model === 'ols' ? fitOrThrow(design, weightsAt(distances, 0), `year ${tahun}`) : null;
+
+      training.forEach((province, i) => {
+        const record = provinces.find(p => p.name === province.name).records.find(r => r.tahun === tahun);
+        if (!record) return;
+
+        const fit = globalFit || fitOrThrow(design, weightsAt(distances, i), `year ${tahun}`);
+        const trainingMeans = means(province.records);
+        const xRow = record.x.map((value, j) => (value - trainingMeans.x[j]) / design.scale[j]);
+
+        predictions.push({
+          provinceId: province.provinceId,
+          name: province.name,
+          tahun,
+          actual: record.y,
+          predicted: trainingMeans.y + dot(xRow, fit.beta)
+        });
+      });
+    });
+  }
+
+  return predictions.map(prediction => ({ ...prediction, error: prediction.actual - prediction.predicted }));
+};
+
+/**
+ * Decide which local coefficients are significant after a multiple testing correction.
+ * - fotheringham: alpha scaled by k / ENP (da Silva & Fotheringham, 2016)
+ * - bonferroni: alpha divided by the number of local tests
+ * - fdr: Benjamini-Hochberg over all local tests
+ * - none: plain alpha
+ * Provinces sharing the same set of significant variables are then numbered into
+ * kelompok, largest group first.
+ * @param {Object} model - Result of fitGWPR()
+ * @param {string[]} variables - Variable names in coefficient order
+ * @param {Object} [options]
+ * @param {number} [options.alpha=0.05]
+ * @param {string} [options.correction='fotheringham']
+ * @returns {{ adjustedAlpha: number|null, local: Array, groups: Array }}
+ */
+export const classifyLocalSignificance = (model, variables, { alpha = 0.05, correction = 'fotheringham' } = {}) => {
+  const k = variables.length;
+  const tests = model.local.flatMap((estimate, i) =>
+    estimate.pValues.map((p, j) => ({ i, j, p: p === null ? 1 : p }))
+  );
+
+  let isSignificant;
+  let adjustedAlpha = null;
+
+  if (correction === 'fdr') {
+    // Largest rank r with p_(r) <= r/m * alpha; every test up to that rank is significant
+    const sorted = [...tests].sort((a, b) => a.p - b.p);
+    let cutoff = -1;
+    sorted.forEach((test, r) => {
+      if (test.p <= (r + 1) / sorted.length * alpha) cutoff = r;
+    });
+    const accepted = new Set(sorted.slice(0, cutoff + 1).map(test => `${test.i}:${test.j}`));
+    isSignificant = (i, j) => accepted.has(`${i}:${j}`);
+  } else {
+    if (correction === 'fotheringham') {
+      const enp = model.diagnostics.effectiveParameters;
+      adjustedAlpha = alpha / Math.max(1, enp / k);
+    } else if (correction === 'bonferroni') {
+      adjustedAlpha = alpha / tests.length;
+    } else {
+      adjustedAlpha = alpha;
+    }
+    isSignificant = (i, j) => model.local[i].pValues[j] !== null && model.local[i].pValues[j] <= adjustedAlpha;
+  }
+
+  const local = model.local.map((estimate, i) => ({
+    provinceId: estimate.provinceId,
+    name: estimate.name,
+    variabel_signifikan: variables.filter((_, j) => isSignificant(i, j))
+  }));
+
+  const bySignature = {};
+  local.forEach(entry => {
+    const signature = entry.variabel_signifikan.join(',');
+    if (!bySignature[signature]) {
+      bySignature[signature] = { variabel_signifikan: entry.variabel_signifikan, provinces: [] };
+    }
+    bySignature[signature].provinces.push(entry.name);
+  });
+
+  const kelompokBySignature = {};
+  const groups = Object.entries(bySignature)
+    .sort(([sigA, a], [sigB, b]) => b.provinces.length - a.provinces.length || sigA.localeCompare(sigB))
+    .map(([signature, group], index) => {
+      kelompokBySignature[signature] = index + 1;
+      return { kelompok: index + 1, ...group };
+    });
+
+  local.forEach(entry => {
+    entry.kelompok = kelompokBySignature[entry.variabel_signifikan.join(',')];
+  });
+
+  return {
+    adjustedAlpha,
+    local,
+    groups
+  };
+};
+
+/**
+ * What-if prediction from a province's local GWPR coefficients.
+ * With the fixed effects (within) model the province effect is unknown, so the
+ * prediction is the observed baseline plus the coefficient-weighted change in
+ * each independent variable.
+ * @param {Object} coefficients - koefisien_regresi keyed by variable name
+ * @param {Object} baseline - { y, x: { [variable]: value } } from the reference year
+ * @param {Object} scenario - Hypothetical x values keyed by variable name
+ * @returns {{ predicted: number, change: number, contributions: Object }}
+ */
+export const predictScenario = (coefficients, baseline, scenario) => {
+  const contributions = {};
+  let change = 0;
+
+  Object.entries(scenario).forEach(([variable, value]) => {
+    const delta = value - baseline.x[variable];
+    const contribution = (coefficients[variable] ?? 0) * delta;
+    contributions[variable] = {
+      coefficient: coefficients[variable] ?? null,
+      baseline: baseline.x[variable],
+      scenario: value,
+      delta,
+      contribution
+    };
+    change += contribution;
+  });
+
+  return { predicted: baseline.y + change, change, contributions };
+};
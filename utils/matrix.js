@@ -0,0 +1,193 @@
+/**
+ * Small dense linear algebra helpers used by the analytic models.
+ * Matrices are plain arrays of rows (number[][]), vectors are number[].
+ */
+
+export const transpose = (A) => A[0].map((_, j) => A.map(row => row[j]));
+
+export const multiply = (A, B) => {
+  const n = A.length;
+  const m = B[0].length;
+  const inner = B.length;
+  const result = Array.from({ length: n }, () => new Array(m).fill(0));
+
+  for (let i = 0; i < n; i++) {
+    for (let k = 0; k < inner; k++) {
+      const a = A[i][k];
+      if (a === 0) continue;
+      for (let j = 0; j < m; j++) {
+        result[i][j] += a * B[k][j];
+      }
+    }
+  }
+
+  return result;
+};
+
+export const multiplyVector = (A, v) => A.map(row => row.reduce((sum, a, j) => sum + a * v[j], 0));
+
+export const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+export const identity = (n) => Array.from({ length: n }, (_, i) => {
+  const row = new Array(n).fill(0);
+  row[i] = 1;
+  return row;
+});
+
+/**
+ * Invert a square matrix with Gauss-Jordan elimination and partial pivoting
+ * @param {number[][]} A - Square matrix
+ * @returns {number[][]|null} - Inverse, or null when the matrix is singular
+ */
+export const invert = (A) => {
+  const n = A.length;
+  const M = A.map((row, i) => [...row, ...identity(n)[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+    }
+
+    if (Math.abs(M[pivot][col]) < 1e-12) {
+      return null;
+    }
+
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+
+    const p = M[col][col];
+    for (let j = 0; j < 2 * n; j++) M[col][j] /= p;
+
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const factor = M[r][col];
+      if (factor === 0) continue;
+      for (let j = 0; j < 2 * n; j++) {
+        M[r][j] -= factor * M[col][j];
+      }
+    }
+  }
+
+  return M.map(row => row.slice(n));
+};
+
+/**
+ * Compute X'WX and X'Wy for a diagonal weight vector without building W
+ * @param {number[][]} X - Design matrix (n x k)
+ * @param {number[]} y - Response vector (n)
+ * @param {number[]} [w] - Observation weights (defaults to 1)
+ * @returns {{ XtWX: number[][], XtWy: number[] }}
+ */
+export const weightedCrossProducts = (X, y, w = null) => {
+  const k = X[0].length;
+  const XtWX = Array.from({ length: k }, () => new Array(k).fill(0));
+  const XtWy = new Array(k).fill(0);
+
+  X.forEach((row, i) => {
+    const wi = w ? w[i] : 1;
+    if (wi === 0) return;
+    for (let a = 0; a < k; a++) {
+      const xa = wi * row[a];
+      XtWy[a] += xa * y[i];
+      for (let b = a; b < k; b++) {
+        XtWX[a][b] += xa * row[b];
+      }
+    }
+  });
+
+  for (let a = 0; a < k; a++) {
+    for (let b = 0; b < a; b++) {
+      XtWX[a][b] = XtWX[b][a];
+    }
+  }
+
+  return { XtWX, XtWy };
+};
+
+export const trace = (A) => A.reduce((sum, row, i) => sum + row[i], 0);
+
+/**
+ * Natural log of |det(A)| via LU decomposition with partial pivoting
+ * @param {number[][]} A - Square matrix
+ * @returns {{ logAbsDet: number, sign: number }} - sign is 0 for a singular matrix
+ */
+export const logDeterminant = (A) => {
+  const n = A.length;
+  const M = A.map(row => [...row]);
+  let logAbsDet = 0;
+  let sign = 1;
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+    }
+
+    if (M[pivot][col] === 0) {
+      return { logAbsDet: -Infinity, sign: 0 };
+    }
+
+    if (pivot !== col) {
+      [M[col], M[pivot]] = [M[pivot], M[col]];
+      sign = -sign;
+    }
+
+    const p = M[col][col];
+    if (p < 0) sign = -sign;
+    logAbsDet += Math.log(Math.abs(p));
+
+    for (let r = col + 1; r < n; r++) {
+      const factor = M[r][col] / p;
+      if (factor === 0) continue;
+      for (let j = col; j < n; j++) {
+        M[r][j] -= factor * M[col][j];
+      }
+    }
+  }
+
+  return { logAbsDet, sign };
+};
+
+/**
+ * Eigenvalues of a symmetric matrix with the cyclic Jacobi method
+ * @param {number[][]} A - Symmetric matrix
+ * @returns {number[]} - Eigenvalues in descending order
+ */
+export const symmetricEigenvalues = (A, { maxSweeps = 100, tolerance = 1e-12 } = {}) => {
+  const n = A.length;
+  const M = A.map(row => [...row]);
+
+  for (let sweep = 0; sweep < maxSweeps; sweep++) {
+    let offDiagonal = 0;
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) offDiagonal += M[p][q] ** 2;
+    }
+    if (offDiagonal < tolerance) break;
+
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(M[p][q]) < 1e-300) continue;
+
+        const theta = (M[q][q] - M[p][p]) / (2 * M[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < n; k++) {
+          const mkp = M[k][p];
+          const mkq = M[k][q];
+          M[k][p] = c * mkp - s * mkq;
+          M[k][q] = s * mkp + c * mkq;
+        }
+        for (let k = 0; k < n; k++) {
+          const mpk = M[p][k];
+          const mqk = M[q][k];
+          M[p][k] = c * mpk - s * mqk;
+          M[q][k] = s * mpk + c * mqk;
+        }
+      }
+    }
+  }
+
+  return M.map((row, i) => row[i]).sort((a, b) => b - a);
+};
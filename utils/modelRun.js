@@ -0,0 +1,60 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import ModelRun from '../models/modelRun.model.js';
+import { APP_VERSION } from '../config/env.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+let packageVersion = null;
+
+/**
+ * Code version stored on model runs: APP_VERSION (e.g. a git commit set at deploy time)
+ * or the package.json version
+ */
+export const getCodeVersion = () => {
+  if (APP_VERSION) return APP_VERSION;
+
+  if (packageVersion === null) {
+    try {
+      const packageJson = JSON.parse(fs.readFileSync(path.join(__dirname, '../package.json'), 'utf8'));
+      packageVersion = packageJson.version || 'unknown';
+    } catch (error) {
+      console.error('Error reading package.json version:', error);
+      packageVersion = 'unknown';
+    }
+  }
+
+  return packageVersion;
+};
+
+/**
+ * Start a model run record. The document gets its _id immediately so result documents
+ * can link to it; call `.save()` once metrics and results are known.
+ * @param {Object} run - modelType, method, inputFilter, parameters, restoredFrom
+ * @param {Object} [user] - Authenticated user (req.user)
+ * @returns {import('mongoose').Document}
+ */
+export const createModelRun = (run, user = null) => new ModelRun({
+  ...run,
+  codeVersion: getCodeVersion(),
+  createdBy: user ? (user.name || user._id) : 'system',
+  userRole: user ? user.role : 'system'
+});
+
+/**
+ * Record a run that has no per-province results to persist (e.g. SAR or regression estimates).
+ * Failures are logged rather than failing the request that produced the estimate.
+ * @param {Object} run - modelType, method, inputFilter, parameters, metrics
+ * @param {Object} [user] - Authenticated user (req.user)
+ * @returns {Promise<import('mongoose').Document|null>}
+ */
+export const recordModelRun = async (run, user = null) => {
+  try {
+    return await createModelRun(run, user).save();
+  } catch (error) {
+    console.error('Error recording model run:', error);
+    return null;
+  }
+};
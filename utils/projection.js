@@ -0,0 +1,101 @@
+import { studentTQuantile } from './statistics.js';
+
+/**
+ * Trend projections of annual percentage series such as prevalence of undernourishment.
+ *
+ * A straight line in the year is fitted by least squares, on the logit scale by default so
+ * that long projections (e.g. to 2045) stay within 0-100%. Bands are regression prediction
+ * intervals, ŷ ± t · s · sqrt(1 + 1/n + (t - t̄)² / Sxx), back-transformed to percentages.
+ */
+
+export const PROJECTION_TRANSFORMS = ['logit', 'none'];
+
+// Keep 0% and 100% finite on the logit scale
+const EPSILON = 0.05;
+
+const toScale = (value, transform) => {
+  if (transform !== 'logit') return value;
+  const p = Math.min(100 - EPSILON, Math.max(EPSILON, value)) / 100;
+  return Math.log(p / (1 - p));
+};
+
+const fromScale = (value, transform) => (transform === 'logit' ? 100 / (1 + Math.exp(-value)) : value);
+
+/**
+ * Least squares line through (year, value) points
+ * @param {number[]} years
+ * @param {number[]} values
+ * @returns {{ intercept: number, slope: number, meanYear: number, sxx: number, residualStandardError: number|null, at: Function }}
+ */
+export const linearTrend = (years, values) => {
+  const n = years.length;
+  const meanYear = years.reduce((a, b) => a + b, 0) / n;
+  const meanValue = values.reduce((a, b) => a + b, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  years.forEach((year, i) => {
+    sxx += (year - meanYear) ** 2;
+    sxy += (year - meanYear) * (values[i] - meanValue);
+  });
+
+  const slope = sxx > 0 ? sxy / sxx : 0;
+  const intercept = meanValue - slope * meanYear;
+  const at = (year) => intercept + slope * year;
+  const sse = years.reduce((sum, year, i) => sum + (values[i] - at(year)) ** 2, 0);
+
+  return {
+    intercept,
+    slope,
+    meanYear,
+    sxx,
+    residualStandardError: n > 2 ? Math.sqrt(sse / (n - 2)) : null,
+    at
+  };
+};
+
+/**
+ * Project a percentage series year by year up to the target year
+ * @param {Array<{ year: number, value: number }>} series - At least three annual observations
+ * @param {Object} options
+ * @param {number} options.targetYear
+ * @param {string} [options.transform='logit'] - logit or none
+ * @param {number} [options.confidence=0.95]
+ * @returns {{ transform: string, observations: number, slope: number, residualStandardError: number, path: Array<{ year: number, projected: number, lower: number, upper: number }> }}
+ */
+export const projectPercentageTrend = (series, { targetYear, transform = 'logit', confidence = 0.95 }) => {
+  const n = series.length;
+  if (n < 3) {
+    const error = new Error(`At least 3 years of data are required for a projection (got ${n})`);
+    error.statusCode = 422;
+    throw error;
+  }
+
+  const years = series.map(point => point.year);
+  const trend = linearTrend(years, series.map(point => toScale(point.value, transform)));
+  const t = studentTQuantile(1 - (1 - confidence) / 2, n - 2);
+  const lastYear = Math.max(...years);
+  const clamp = (value) => Math.min(100, Math.max(0, value));
+
+  const path = [];
+  for (let year = lastYear + 1; year <= targetYear; year++) {
+    const center = trend.at(year);
+    const spread = t * trend.residualStandardError *
+      Math.sqrt(1 + 1 / n + (trend.sxx > 0 ? (year - trend.meanYear) ** 2 / trend.sxx : 0));
+
+    path.push({
+      year,
+      projected: clamp(fromScale(center, transform)),
+      lower: clamp(fromScale(center - spread, transform)),
+      upper: clamp(fromScale(center + spread, transform))
+    });
+  }
+
+  return {
+    transform,
+    observations: n,
+    // Annual change on the fitted scale (log-odds per year for logit)
+    slope: trend.slope,
+    residualStandardError: trend.residualStandardError,
+    path
+  };
+};
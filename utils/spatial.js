@@ -0,0 +1,150 @@
+import { getProvinceGeojson } from './extractProvince.js';
+
+const EARTH_RADIUS_KM = 6371.0088;
+
+// Outer rings of a Polygon or MultiPolygon geometry
+const getOuterRings = (geometry) => {
+  if (!geometry) return [];
+  if (geometry.type === 'Polygon') return [geometry.coordinates[0]];
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates.map(polygon => polygon[0]);
+  return [];
+};
+
+/**
+ * Area-weighted centroid of a (Multi)Polygon geometry in lon/lat degrees
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {{ lon: number, lat: number }|null}
+ */
+export const getGeometryCentroid = (geometry) => {
+  let totalArea = 0;
+  let cx = 0;
+  let cy = 0;
+
+  getOuterRings(geometry).forEach(ring => {
+    let area = 0;
+    let rx = 0;
+    let ry = 0;
+
+    for (let i = 0; i < ring.length - 1; i++) {
+      const [x0, y0] = ring[i];
+      const [x1, y1] = ring[i + 1];
+      const cross = x0 * y1 - x1 * y0;
+      area += cross;
+      rx += (x0 + x1) * cross;
+      ry += (y0 + y1) * cross;
+    }
+
+    area /= 2;
+    if (area === 0) return;
+
+    // Weight each ring's centroid by its absolute area so ring orientation does not matter
+    const weight = Math.abs(area);
+    cx += (rx / (6 * area)) * weight;
+    cy += (ry / (6 * area)) * weight;
+    totalArea += weight;
+  });
+
+  if (totalArea === 0) return null;
+
+  return { lon: cx / totalArea, lat: cy / totalArea };
+};
+
+/**
+ * Get centroids for every province in province_38.json keyed by province name
+ * @returns {Object<string, { lon: number, lat: number }>}
+ */
+export const getProvinceCentroids = () => {
+  const geojson = getProvinceGeojson();
+  const centroids = {};
+
+  if (!geojson || !geojson.features) return centroids;
+
+  geojson.features.forEach(feature => {
+    const centroid = getGeometryCentroid(feature.geometry);
+    if (centroid) {
+      centroids[feature.properties.PROVINSI] = centroid;
+    }
+  });
+
+  return centroids;
+};
+
+/**
+ * Great-circle distance between two lon/lat points in kilometres
+ */
+export const haversineDistance = (a, b) => {
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+/**
+ * Pairwise distance matrix (km) between points in the given order
+ * @param {Array<{ lon: number, lat: number }>} points
+ * @returns {number[][]}
+ */
+export const getDistanceMatrix = (points) => points.map(a => points.map(b => haversineDistance(a, b)));
+
+export const CONTIGUITY_CRITERIA = ['queen', 'rook'];
+
+// All rings (outer and holes) of a Polygon or MultiPolygon geometry
+const getAllRings = (geometry) => {
+  if (!geometry) return [];
+  if (geometry.type === 'Polygon') return geometry.coordinates;
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates.flat();
+  return [];
+};
+
+// Snap coordinates so boundaries digitised with slightly different precision still match
+const vertexKey = ([lon, lat]) => `${lon.toFixed(7)},${lat.toFixed(7)}`;
+
+/**
+ * Contiguity neighbours between the provinces in province_38.json, keyed by province name.
+ * Queen contiguity needs one shared boundary vertex, rook contiguity a shared edge.
+ * @param {string} [criterion='queen'] - 'queen' | 'rook'
+ * @returns {Object<string, Set<string>>}
+ */
+export const getProvinceContiguity = (criterion = 'queen') => {
+  const geojson = getProvinceGeojson();
+  const neighbors = {};
+
+  if (!geojson || !geojson.features) return neighbors;
+
+  // Boundary element (vertex or edge) -> names of the provinces that contain it
+  const owners = new Map();
+  const addOwner = (key, name) => {
+    if (!owners.has(key)) owners.set(key, new Set());
+    owners.get(key).add(name);
+  };
+
+  geojson.features.forEach(feature => {
+    const name = feature.properties.PROVINSI;
+    neighbors[name] = new Set();
+
+    getAllRings(feature.geometry).forEach(ring => {
+      const keys = ring.map(vertexKey);
+      keys.forEach((key, i) => {
+        if (criterion === 'rook') {
+          if (i === 0) return;
+          const edge = [keys[i - 1], key].sort().join('|');
+          addOwner(edge, name);
+        } else {
+          addOwner(key, name);
+        }
+      });
+    });
+  });
+
+  owners.forEach(names => {
+    if (names.size < 2) return;
+    names.forEach(a => names.forEach(b => {
+      if (a !== b) neighbors[a].add(b);
+    }));
+  });
+
+  return neighbors;
+};
@@ -0,0 +1,167 @@
+/**
+ * Global and local spatial autocorrelation statistics with permutation inference.
+ * W is an n x n weights matrix in the same order as the values.
+ */
+
+import { createRandom, zTestPValue } from './statistics.js';
+
+export const LISA_CLUSTERS = ['High-High', 'Low-Low', 'High-Low', 'Low-High', 'Not significant'];
+
+const deviations = (values) => {
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  return values.map(value => value - mean);
+};
+
+const lagOf = (W, z) => W.map(row => row.reduce((sum, w, j) => sum + w * z[j], 0));
+
+const moransI = (W, z, s0) => {
+  const lag = lagOf(W, z);
+  const numerator = z.reduce((sum, value, i) => sum + value * lag[i], 0);
+  const denominator = z.reduce((sum, value) => sum + value * value, 0);
+  return (z.length / s0) * numerator / denominator;
+};
+
+const shuffle = (values, random) => {
+  const result = [...values];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+// Folded pseudo p-value: share of permutations at least as extreme on the observed side
+const pseudoPValue = (observed, reference, simulated) => {
+  const extreme = observed >= reference
+    ? simulated.filter(value => value >= observed).length
+    : simulated.filter(value => value <= observed).length;
+  return (extreme + 1) / (simulated.length + 1);
+};
+
+const summarize = (simulated) => {
+  const mean = simulated.reduce((a, b) => a + b, 0) / simulated.length;
+  const sd = Math.sqrt(simulated.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (simulated.length - 1));
+  return { mean, sd };
+};
+
+/**
+ * Global Moran's I with a permutation test
+ * @param {number[]} values
+ * @param {number[][]} W
+ * @param {Object} [options]
+ * @param {number} [options.permutations=999]
+ * @param {number} [options.seed=42]
+ * @returns {{ I: number, expectedI: number, zScore: number|null, pValue: number, permutations: number }}
+ */
+export const globalMoran = (values, W, { permutations = 999, seed = 42 } = {}) => {
+  const z = deviations(values);
+  const s0 = W.reduce((sum, row) => sum + row.reduce((a, b) => a + b, 0), 0);
+  const I = moransI(W, z, s0);
+  const expectedI = -1 / (values.length - 1);
+
+  const random = createRandom(seed);
+  const simulated = Array.from({ length: permutations }, () => moransI(W, shuffle(z, random), s0));
+  const { mean, sd } = summarize(simulated);
+
+  return {
+    I,
+    expectedI,
+    zScore: sd > 0 ? (I - mean) / sd : null,
+    pValue: pseudoPValue(I, expectedI, simulated),
+    permutations
+  };
+};
+
+/**
+ * Local Moran's I (LISA) with conditional permutation: each province keeps its own
+ * value while its neighbours are drawn at random from the remaining provinces.
+ * @param {number[]} values
+ * @param {number[][]} W
+ * @param {Object} [options]
+ * @param {number} [options.permutations=999]
+ * @param {number} [options.alpha=0.05]
+ * @param {number} [options.seed=42]
+ * @returns {Array<{ localI: number, zValue: number, spatialLag: number, pValue: number|null, cluster: string }>}
+ */
+export const localMoran = (values, W, { permutations = 999, alpha = 0.05, seed = 42 } = {}) => {
+  const n = values.length;
+  const z = deviations(values);
+  const m2 = z.reduce((sum, value) => sum + value * value, 0) / n;
+  const sd = Math.sqrt(m2);
+  const lag = lagOf(W, z);
+  const random = createRandom(seed);
+
+  return z.map((zi, i) => {
+    const localI = zi * lag[i] / m2;
+    const neighborWeights = W[i].filter((w, j) => w !== 0 && j !== i);
+
+    if (neighborWeights.length === 0) {
+      return { localI, zValue: zi / sd, spatialLag: 0, pValue: null, cluster: 'Not significant' };
+    }
+
+    const others = z.filter((_, j) => j !== i);
+    const simulated = Array.from({ length: permutations }, () => {
+      // Partial Fisher-Yates: only the first |N(i)| draws are needed
+      const pool = [...others];
+      let simulatedLag = 0;
+      neighborWeights.forEach((w, draw) => {
+        const pick = draw + Math.floor(random() * (pool.length - draw));
+        [pool[draw], pool[pick]] = [pool[pick], pool[draw]];
+        simulatedLag += w * pool[draw];
+      });
+      return zi * simulatedLag / m2;
+    });
+
+    const pValue = pseudoPValue(localI, 0, simulated);
+    let cluster = 'Not significant';
+    if (pValue <= alpha) {
+      if (zi > 0) cluster = lag[i] > 0 ? 'High-High' : 'High-Low';
+      else cluster = lag[i] < 0 ? 'Low-Low' : 'Low-High';
+    }
+
+    return { localI, zValue: zi / sd, spatialLag: lag[i] / sd, pValue, cluster };
+  });
+};
+
+// Critical |z| values for the 99%, 95% and 90% confidence bins
+const GI_BINS = [
+  { bin: 3, z: 2.576, confidence: 99 },
+  { bin: 2, z: 1.96, confidence: 95 },
+  { bin: 1, z: 1.645, confidence: 90 }
+];
+
+/**
+ * Getis-Ord Gi* statistics. The weights must include each location itself (w_ii > 0).
+ * @param {number[]} values
+ * @param {number[][]} W - Unstandardized weights including the diagonal
+ * @returns {Array<{ zScore: number|null, pValue: number|null, bin: number, category: string }>}
+ */
+export const getisOrdGiStar = (values, W) => {
+  const n = values.length;
+  const mean = values.reduce((a, b) => a + b, 0) / n;
+  const s = Math.sqrt(values.reduce((sum, value) => sum + value * value, 0) / n - mean * mean);
+
+  return W.map(row => {
+    const sumW = row.reduce((a, b) => a + b, 0);
+    const sumW2 = row.reduce((sum, w) => sum + w * w, 0);
+    const weighted = row.reduce((sum, w, j) => sum + w * values[j], 0);
+    const denominator = s * Math.sqrt((n * sumW2 - sumW * sumW) / (n - 1));
+
+    if (!(denominator > 0)) {
+      return { zScore: null, pValue: null, bin: 0, category: 'Not Significant' };
+    }
+
+    const zScore = (weighted - mean * sumW) / denominator;
+    const level = GI_BINS.find(({ z }) => Math.abs(zScore) >= z);
+    const bin = level ? Math.sign(zScore) * level.bin : 0;
+
+    return {
+      zScore,
+      pValue: zTestPValue(zScore),
+      bin,
+      category: level
+        ? `${zScore > 0 ? 'Hot' : 'Cold'} Spot - ${level.confidence}% Confidence`
+        : 'Not Significant'
+    };
+  });
+};
@@ -0,0 +1,420 @@
+/**
+ * Cross-sectional regression models with spatial dependence, estimated by
+ * maximum likelihood (Anselin, 1988). Design matrices include their own
+ * intercept column; W is an n x n (usually row-standardized) weights matrix.
+ */
+
+import {
+  transpose,
+  multiply,
+  multiplyVector,
+  dot,
+  identity,
+  invert,
+  trace,
+  logDeterminant
+} from './matrix.js';
+import { zTestPValue, tTestPValue, chiSquarePValue } from './statistics.js';
+
+// Keep the autoregressive parameter strictly inside the stationary range of a row-standardized W
+const PARAMETER_BOUND = 0.99;
+const GRID_POINTS = 40;
+const GOLDEN_RATIO = (Math.sqrt(5) - 1) / 2;
+
+const subtract = (a, b) => a.map((value, i) => value - b[i]);
+
+const solveLeastSquares = (X, y) => {
+  const Xt = transpose(X);
+  const XtXinv = invert(multiply(Xt, X));
+  if (!XtXinv) {
+    const error = new Error('Design matrix is singular; check for constant or collinear variables');
+    error.statusCode = 422;
+    throw error;
+  }
+  return { XtXinv, beta: multiplyVector(XtXinv, multiplyVector(Xt, y)) };
+};
+
+const solveOLSResidualSS = (X, y) => {
+  const { beta } = solveLeastSquares(X, y);
+  const residuals = subtract(y, multiplyVector(X, beta));
+  return dot(residuals, residuals);
+};
+
+const concentratedLogLikelihood = (n, sse, logDet) =>
+  -n / 2 * (Math.log(2 * Math.PI) + 1) - n / 2 * Math.log(sse / n) + logDet;
+
+const logDetAt = (W, parameter) => {
+  const A = identity(W.length).map((row, i) => row.map((value, j) => value - parameter * W[i][j]));
+  const { logAbsDet, sign } = logDeterminant(A);
+  return sign > 0 ? logAbsDet : -Infinity;
+};
+
+// Coarse grid followed by golden-section refinement around the best grid point
+const maximizeOnInterval = (f, lower, upper) => {
+  const step = (upper - lower) / GRID_POINTS;
+  let best = lower;
+  let bestValue = -Infinity;
+
+  for (let i = 0; i <= GRID_POINTS; i++) {
+    const x = lower + i * step;
+    const value = f(x);
+    if (value > bestValue) {
+      best = x;
+      bestValue = value;
+    }
+  }
+
+  let a = Math.max(lower, best - step);
+  let b = Math.min(upper, best + step);
+  let c = b - GOLDEN_RATIO * (b - a);
+  let d = a + GOLDEN_RATIO * (b - a);
+  let fc = f(c);
+  let fd = f(d);
+
+  while (b - a > 1e-7) {
+    if (fc > fd) {
+      b = d;
+      d = c;
+      fd = fc;
+      c = b - GOLDEN_RATIO * (b - a);
+      fc = f(c);
+    } else {
+      a = c;
+      c = d;
+      fc = fd;
+      d = a + GOLDEN_RATIO * (b - a);
+      fd = f(d);
+    }
+  }
+
+  const x = (a + b) / 2;
+  const value = f(x);
+  return value >= bestValue ? { x, value } : { x: best, value: bestValue };
+};
+
+const zInference = (estimates, variances) => estimates.map((estimate, i) => {
+  const standardError = Math.sqrt(Math.max(variances[i], 0));
+  const z = standardError > 0 ? estimate / standardError : null;
+  return {
+    estimate,
+    standardError,
+    zValue: z,
+    pValue: z === null ? null : zTestPValue(z)
+  };
+});
+
+// tr(A A) and tr(A'A) for the information matrix of the autoregressive parameter
+const traceTerms = (A) => {
+  let traceSquare = 0;
+  let traceCross = 0;
+  A.forEach((row, i) => {
+    row.forEach((value, j) => {
+      traceSquare += value * A[j][i];
+      traceCross += value * value;
+    });
+  });
+  return traceSquare + traceCross;
+};
+
+/**
+ * Ordinary least squares with classical inference
+ * @param {number[][]} X - Design matrix including the intercept column
+ * @param {number[]} y
+ */
+export const fitOLS = (X, y) => {
+  const n = X.length;
+  const k = X[0].length;
+  const { XtXinv, beta } = solveLeastSquares(X, y);
+  const fitted = multiplyVector(X, beta);
+  const residuals = subtract(y, fitted);
+  const sse = dot(residuals, residuals);
+  const meanY = y.reduce((a, b) => a + b, 0) / n;
+  const sst = y.reduce((sum, value) => sum + (value - meanY) ** 2, 0);
+  const df = n - k;
+  const sigma2 = df > 0 ? sse / df : NaN;
+  const logLikelihood = concentratedLogLikelihood(n, sse, 0);
+
+  return {
+    coefficients: beta.map((estimate, i) => {
+      const standardError = Math.sqrt(sigma2 * XtXinv[i][i]);
+      const t = standardError > 0 ? estimate / standardError : null;
+      return {
+        estimate,
+        standardError,
+        tValue: t,
+        pValue: t === null || df <= 0 ? null : tTestPValue(t, df)
+      };
+    }),
+    fitted,
+    residuals,
+    residualSumOfSquares: sse,
+    rSquared: sst > 0 ? 1 - sse / sst : null,
+    adjustedRSquared: sst > 0 && df > 0 ? 1 - (sse / df) / (sst / (n - 1)) : null,
+    sigma2,
+    logLikelihood,
+    aic: -2 * logLikelihood + 2 * (k + 1),
+    observations: n,
+    parameters: k,
+    XtXinv
+  };
+};
+
+/**
+ * Spatial lag model y = ρWy + Xβ + ε
+ * @param {number[][]} X - Design matrix including the intercept column
+ * @param {number[]} y
+ * @param {number[][]} W - Spatial weights
+ */
+export const fitSpatialLag = (X, y, W) => {
+  const n = X.length;
+  const k = X[0].length;
+  const Wy = multiplyVector(W, y);
+  const { XtXinv, beta: b0 } = solveLeastSquares(X, y);
+  const bL = multiplyVector(XtXinv, multiplyVector(transpose(X), Wy));
+  const e0 = subtract(y, multiplyVector(X, b0));
+  const eL = subtract(Wy, multiplyVector(X, bL));
+
+  const sseAt = (rho) => e0.reduce((sum, value, i) => sum + (value - rho * eL[i]) ** 2, 0);
+  const { x: rho, value: logLikelihood } = maximizeOnInterval(
+    (r) => concentratedLogLikelihood(n, sseAt(r), logDetAt(W, r)),
+    -PARAMETER_BOUND,
+    PARAMETER_BOUND
+  );
+
+  const beta = b0.map((value, i) => value - rho * bL[i]);
+  const residuals = e0.map((value, i) => value - rho * eL[i]);
+  const sigma2 = dot(residuals, residuals) / n;
+
+  // Asymptotic information matrix for (β, ρ, σ²)
+  const A = identity(n).map((row, i) => row.map((value, j) => value - rho * W[i][j]));
+  const WA = multiply(W, invert(A));
+  const Xbeta = multiplyVector(X, beta);
+  const WAXbeta = multiplyVector(WA, Xbeta);
+  const XtX = multiply(transpose(X), X);
+  const XtWAXbeta = multiplyVector(transpose(X), WAXbeta);
+
+  const size = k + 2;
+  const info = Array.from({ length: size }, () => new Array(size).fill(0));
+  for (let a = 0; a < k; a++) {
+    for (let b = 0; b < k; b++) info[a][b] = XtX[a][b] / sigma2;
+    info[a][k] = info[k][a] = XtWAXbeta[a] / sigma2;
+  }
+  info[k][k] = traceTerms(WA) + dot(WAXbeta, WAXbeta) / sigma2;
+  info[k][k + 1] = info[k + 1][k] = trace(WA) / sigma2;
+  info[k + 1][k + 1] = n / (2 * sigma2 * sigma2);
+
+  const covariance = invert(info);
+  const variances = covariance ? covariance.map((row, i) => row[i]) : new Array(size).fill(NaN);
+  const [rhoInference] = zInference([rho], [variances[k]]);
+
+  const ols = concentratedLogLikelihood(n, dot(e0, e0), 0);
+  const likelihoodRatio = 2 * (logLikelihood - ols);
+
+  return {
+    rho: rhoInference,
+    coefficients: zInference(beta, variances.slice(0, k)),
+    sigma2,
+    residuals,
+    fitted: subtract(y, residuals),
+    logLikelihood,
+    aic: -2 * logLikelihood + 2 * (k + 2),
+    likelihoodRatioTest: {
+      statistic: likelihoodRatio,
+      pValue: chiSquarePValue(Math.max(likelihoodRatio, 0), 1)
+    },
+    observations: n,
+    parameters: k + 2
+  };
+};
+
+/**
+ * Spatial error model y = Xβ + u, u = λWu + ε
+ * @param {number[][]} X - Design matrix including the intercept column
+ * @param {number[]} y
+ * @param {number[][]} W - Spatial weights
+ */
+export const fitSpatialError = (X, y, W) => {
+  const n = X.length;
+  const k = X[0].length;
+  const Wy = multiplyVector(W, y);
+  const WX = multiply(W, X);
+
+  const filtered = (lambda) => {
+    const yF = y.map((value, i) => value - lambda * Wy[i]);
+    const XF = X.map((row, i) => row.map((value, j) => value - lambda * WX[i][j]));
+    const { XtXinv, beta } = solveLeastSquares(XF, yF);
+    const residuals = subtract(yF, multiplyVector(XF, beta));
+    return { XtXinv, beta, residuals, sse: dot(residuals, residuals) };
+  };
+
+  const { x: lambda, value: logLikelihood } = maximizeOnInterval(
+    (l) => concentratedLogLikelihood(n, filtered(l).sse, logDetAt(W, l)),
+    -PARAMETER_BOUND,
+    PARAMETER_BOUND
+  );
+
+  const { XtXinv, beta, residuals, sse } = filtered(lambda);
+  const sigma2 = sse / n;
+
+  // β is asymptotically independent of (λ, σ²)
+  const B = identity(n).map((row, i) => row.map((value, j) => value - lambda * W[i][j]));
+  const WB = multiply(W, invert(B));
+  const info = [
+    [traceTerms(WB), trace(WB) / sigma2],
+    [trace(WB) / sigma2, n / (2 * sigma2 * sigma2)]
+  ];
+  const covariance = invert(info);
+  const [lambdaInference] = zInference([lambda], [covariance ? covariance[0][0] : NaN]);
+
+  const ols = concentratedLogLikelihood(n, solveOLSResidualSS(X, y), 0);
+  const likelihoodRatio = 2 * (logLikelihood - ols);
+
+  return {
+    lambda: lambdaInference,
+    coefficients: zInference(beta, XtXinv.map((row, i) => sigma2 * row[i])),
+    sigma2,
+    residuals,
+    fitted: subtract(y, residuals),
+    logLikelihood,
+    aic: -2 * logLikelihood + 2 * (k + 2),
+    likelihoodRatioTest: {
+      statistic: likelihoodRatio,
+      pValue: chiSquarePValue(Math.max(likelihoodRatio, 0), 1)
+    },
+    observations: n,
+    parameters: k + 2
+  };
+};
+
+const chiSquareTest = (statistic, df) => ({
+  statistic,
+  df,
+  pValue: chiSquarePValue(Math.max(statistic, 0), df)
+});
+
+/**
+ * OLS residual diagnostics: Lagrange Multiplier tests for spatial lag and error dependence
+ * (with robust versions, Anselin et al. 1996), Breusch-Pagan / Koenker-Bassett
+ * heteroskedasticity tests and the Jarque-Bera normality test.
+ * @param {number[][]} X - Design matrix including the intercept column
+ * @param {number[]} y
+ * @param {number[][]} W - Row-standardized spatial weights
+ * @param {Object} [ols] - Result of fitOLS(X, y), refitted when omitted
+ */
+export const olsDiagnostics = (X, y, W, ols = fitOLS(X, y)) => {
+  const n = X.length;
+  const k = X[0].length;
+  const Xt = transpose(X);
+  const e = ols.residuals;
+  const sigma2 = ols.residualSumOfSquares / n;
+
+  // Residual of v after projecting on the columns of X, i.e. Mv
+  const annihilate = (v) => subtract(v, multiplyVector(X, multiplyVector(ols.XtXinv, multiplyVector(Xt, v))));
+
+  const We = multiplyVector(W, e);
+  const Wy = multiplyVector(W, y);
+  const T = traceTerms(W);
+  const WXb = multiplyVector(W, ols.fitted);
+  const MWXb = annihilate(WXb);
+  const nJ = (dot(MWXb, MWXb) + T * sigma2) / sigma2;
+  const dLag = dot(e, Wy) / sigma2;
+  const dError = dot(e, We) / sigma2;
+
+  // Heteroskedasticity: auxiliary regressions of the squared residuals on X
+  const squared = e.map(value => value * value);
+  const auxiliary = (target) => {
+    const mean = target.reduce((a, b) => a + b, 0) / n;
+    const fitted = subtract(target, annihilate(target));
+    return {
+      explained: fitted.reduce((sum, value) => sum + (value - mean) ** 2, 0),
+      total: target.reduce((sum, value) => sum + (value - mean) ** 2, 0)
+    };
+  };
+  const bp = auxiliary(squared.map(value => value / sigma2));
+  const kb = auxiliary(squared);
+
+  const m2 = sigma2;
+  const m3 = e.reduce((sum, value) => sum + value ** 3, 0) / n;
+  const m4 = e.reduce((sum, value) => sum + value ** 4, 0) / n;
+  const skewness = m3 / m2 ** 1.5;
+  const kurtosis = m4 / (m2 * m2);
+
+  return {
+    lmLag: chiSquareTest(dLag * dLag / nJ, 1),
+    lmError: chiSquareTest(dError * dError / T, 1),
+    robustLmLag: chiSquareTest((dLag - dError) ** 2 / (nJ - T), 1),
+    robustLmError: chiSquareTest((dError - T / nJ * dLag) ** 2 / (T * (1 - T / nJ)), 1),
+    breuschPagan: chiSquareTest(bp.explained / 2, k - 1),
+    koenkerBassett: chiSquareTest(kb.total > 0 ? n * kb.explained / kb.total : 0, k - 1),
+    jarqueBera: {
+      ...chiSquareTest(n / 6 * (skewness ** 2 + (kurtosis - 3) ** 2 / 4), 2),
+      skewness,
+      kurtosis
+    }
+  };
+};
+
+/**
+ * Model recommendation from olsDiagnostics following Anselin's decision rule:
+ * plain LM tests first, robust tests when both are significant; remaining
+ * heteroskedasticity points to spatially varying coefficients (GWPR).
+ * @param {Object} diagnostics - Result of olsDiagnostics
+ * @param {number} [alpha=0.05]
+ * @returns {{ model: string, reasons: string[] }}
+ */
+export const recommendSpatialModel = (diagnostics, alpha = 0.05) => {
+  const significant = (test) => test.pValue !== null && test.pValue < alpha;
+  const heteroskedastic = significant(diagnostics.koenkerBassett);
+  const reasons = [];
+  let model;
+
+  const lag = significant(diagnostics.lmLag);
+  const error = significant(diagnostics.lmError);
+
+  if (!lag && !error) {
+    reasons.push('Neither LM-lag nor LM-error is significant: no spatial dependence in the OLS residuals');
+    model = heteroskedastic ? 'GWPR' : 'OLS';
+  } else if (lag && !error) {
+    reasons.push('Only LM-lag is significant');
+    model = 'SAR';
+  } else if (error && !lag) {
+    reasons.push('Only LM-error is significant');
+    model = 'SEM';
+  } else {
+    const robustLag = significant(diagnostics.robustLmLag);
+    const robustError = significant(diagnostics.robustLmError);
+    reasons.push('Both LM-lag and LM-error are significant; deciding on the robust tests');
+
+    if (robustLag && !robustError) model = 'SAR';
+    else if (robustError && !robustLag) model = 'SEM';
+    else {
+      model = diagnostics.robustLmLag.statistic >= diagnostics.robustLmError.statistic ? 'SAR' : 'SEM';
+      reasons.push(`Robust tests agree; choosing the larger robust statistic (${model === 'SAR' ? 'lag' : 'error'})`);
+    }
+  }
+
+  if (heteroskedastic) {
+    reasons.push(model === 'GWPR'
+      ? 'Koenker-Bassett test is significant: relationships may vary across provinces'
+      : 'Koenker-Bassett test is significant: also consider GWPR for spatially varying relationships');
+  }
+
+  if (significant(diagnostics.jarqueBera)) {
+    reasons.push('Jarque-Bera test rejects normal residuals: treat ML-based inference with caution');
+  }
+
+  return { model, reasons };
+};
+
+/**
+ * Small-sample corrected AIC from a log-likelihood; with K = tr(S) + 1 this matches
+ * the AICc reported for GWPR (Hurvich et al.)
+ * @param {number} logLikelihood
+ * @param {number} parameters - Estimated parameters including the error variance
+ * @param {number} n - Observations
+ * @returns {number|null}
+ */
+export const computeAICcFromLogLikelihood = (logLikelihood, parameters, n) => {
+  if (n - parameters - 1 <= 0) return null;
+  return -2 * logLikelihood + 2 * parameters * n / (n - parameters - 1);
+};
@@ -0,0 +1,226 @@
+/**
+ * Spatial weights matrices for a fixed ordering of provinces.
+ */
+
+import SAR from '../models/sar.model.js';
+import { getProvinceContiguity, getProvinceCentroids, getDistanceMatrix } from './spatial.js';
+
+export const WEIGHT_METHODS = ['sar', 'queen', 'rook', 'knn', 'inverse_distance'];
+export const WEIGHT_STYLES = ['binary', 'row'];
+
+/**
+ * Divide every non-empty row by its sum (in place)
+ * @param {number[][]} W
+ * @returns {number[][]}
+ */
+export const rowStandardize = (W) => {
+  W.forEach(row => {
+    const total = row.reduce((a, b) => a + b, 0);
+    if (total > 0) row.forEach((value, j) => { row[j] = value / total; });
+  });
+  return W;
+};
+
+const findIslands = (ids, W) => ids.filter((_, i) => W[i].every(value => value === 0));
+
+/**
+ * Build a weights matrix from neighbour lists.
+ * Neighbours outside `ids` are ignored; provinces without neighbours keep a zero row.
+ * @param {string[]} ids - Province ids (as strings) in matrix order
+ * @param {Object<string, Iterable<string>>} neighborMap - Neighbour ids keyed by province id
+ * @param {Object} [options]
+ * @param {boolean} [options.rowStandardize=true]
+ * @returns {{ W: number[][], islands: string[] }}
+ */
+export const buildWeightsFromNeighbors = (ids, neighborMap, { rowStandardize: standardize = true } = {}) => {
+  const index = new Map(ids.map((id, i) => [id, i]));
+  const W = ids.map(() => new Array(ids.length).fill(0));
+
+  ids.forEach((id, i) => {
+    for (const neighborId of neighborMap[id] || []) {
+      const j = index.get(neighborId);
+      if (j !== undefined && j !== i) W[i][j] = 1;
+    }
+  });
+
+  if (standardize) rowStandardize(W);
+
+  return { W, islands: findIslands(ids, W) };
+};
+
+/**
+ * Neighbour map from SAR records ({ mainProvinceId, neighborProvinceIds })
+ * @param {Array} sarRecords
+ * @returns {Object<string, Set<string>>}
+ */
+export const getNeighborMapFromSAR = (sarRecords) => {
+  const neighborMap = {};
+
+  sarRecords.forEach(record => {
+    const mainId = record.mainProvinceId.toString();
+    if (!neighborMap[mainId]) neighborMap[mainId] = new Set();
+    record.neighborProvinceIds.forEach(id => neighborMap[mainId].add(id.toString()));
+  });
+
+  return neighborMap;
+};
+
+/**
+ * Indices of the k nearest points to point i (excluding i itself)
+ * @param {number[][]} distances - Pairwise distance matrix
+ * @param {number} i
+ * @param {number} k
+ * @returns {number[]}
+ */
+export const getNearestNeighbors = (distances, i, k) => distances[i]
+  .map((distance, j) => ({ j, distance }))
+  .filter(({ j }) => j !== i)
+  .sort((a, b) => a.distance - b.distance)
+  .slice(0, k)
+  .map(({ j }) => j);
+
+/**
+ * Indices of the points within `threshold` of point i (excluding i itself)
+ * @param {number[][]} distances - Pairwise distance matrix
+ * @param {number} i
+ * @param {number} threshold
+ * @returns {number[]}
+ */
+export const getDistanceBandNeighbors = (distances, i, threshold) => distances[i]
+  .map((distance, j) => ({ j, distance }))
+  .filter(({ j, distance }) => j !== i && distance <= threshold)
+  .map(({ j }) => j);
+
+/**
+ * Inverse distance weights 1 / d^power, optionally cut off beyond `threshold`
+ * @param {number[][]} distances - Pairwise distance matrix (km)
+ * @param {Object} [options]
+ * @param {number} [options.power=1]
+ * @param {number} [options.threshold] - Maximum distance (km) that still receives a weight
+ * @returns {number[][]}
+ */
+export const buildInverseDistanceWeights = (distances, { power = 1, threshold = null } = {}) =>
+  distances.map((row, i) => row.map((distance, j) => {
+    if (i === j || distance === 0) return 0;
+    if (threshold !== null && distance > threshold) return 0;
+    return 1 / distance ** power;
+  }));
+
+/**
+ * Build the weights matrix for provinces in the given order.
+ * `binary` keeps the raw weights (0/1 for neighbour based methods, 1/d^power for inverse distance).
+ * @param {Array<{ provinceId: *, name: string }>} provinces - Matrix order; names must match province_38.json
+ * @param {Object} [options]
+ * @param {string} [options.method='sar'] - One of WEIGHT_METHODS
+ * @param {string} [options.style='row'] - One of WEIGHT_STYLES
+ * @param {number} [options.k=4] - Neighbours for knn
+ * @param {number} [options.power=1] - Distance decay for inverse_distance
+ * @param {number} [options.threshold] - Distance cut-off (km) for inverse_distance
+ * @returns {Promise<{ W: number[][], islands: string[] }>} - islands are province names without neighbours
+ */
+export const loadProvinceWeights = async (provinces, {
+  method = 'sar',
+  style = 'row',
+  k = 4,
+  power = 1,
+  threshold = null
+} = {}) => {
+  const ids = provinces.map(province => province.provinceId.toString());
+  let W;
+
+  if (method === 'sar') {
+    const neighborMap = getNeighborMapFromSAR(await SAR.find());
+    ({ W } = buildWeightsFromNeighbors(ids, neighborMap, { rowStandardize: false }));
+  } else if (method === 'queen' || method === 'rook') {
+    const contiguity = getProvinceContiguity(method);
+    const idByName = Object.fromEntries(provinces.map((province, i) => [province.name, ids[i]]));
+    const neighborMap = Object.fromEntries(provinces.map((province, i) => [
+      ids[i],
+      [...(contiguity[province.name] || [])].map(name => idByName[name]).filter(Boolean)
+    ]));
+    ({ W } = buildWeightsFromNeighbors(ids, neighborMap, { rowStandardize: false }));
+  } else {
+    const centroids = getProvinceCentroids();
+    const missing = provinces.filter(province => !centroids[province.name]);
+    if (missing.length > 0) {
+      const error = new Error(`Province geometry not found for: ${missing.map(province => province.name).join(', ')}`);
+      error.statusCode = 422;
+      throw error;
+    }
+
+    const distances = getDistanceMatrix(provinces.map(province => centroids[province.name]));
+    if (method === 'knn') {
+      W = distances.map((row, i) => {
+        const weights = new Array(row.length).fill(0);
+        getNearestNeighbors(distances, i, k).forEach(j => { weights[j] = 1; });
+        return weights;
+      });
+    } else {
+      W = buildInverseDistanceWeights(distances, { power, threshold });
+    }
+  }
+
+  if (style === 'row') rowStandardize(W);
+
+  return { W, islands: findIslands(provinces.map(province => province.name), W) };
+};
+
+/**
+ * Panel weights: province neighbours only connect observations of the same year
+ * (block-diagonal W), row-standardized within each year
+ * @param {number[][]} W - Province-level binary weights
+ * @param {Array<{ p: number, tahun: number }>} observations - Province index and year of every observation
+ * @returns {number[][]}
+ */
+export const buildPanelWeights = (W, observations) => rowStandardize(observations.map(a =>
+  observations.map(b => (a.tahun === b.tahun ? W[a.p][b.p] : 0))
+));
+
+/**
+ * Dense CSV matrix with province labels on the first row and column
+ * @param {number[][]} W
+ * @param {string[]} labels
+ * @returns {string}
+ */
+export const toDenseCSV = (W, labels) => {
+  const escape = (value) => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+  const lines = [['', ...labels].map(escape).join(',')];
+  W.forEach((row, i) => lines.push([escape(labels[i]), ...row].join(',')));
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * GeoDa .gal (neighbour list) file
+ * @param {number[][]} W
+ * @param {Array<string|number>} ids - Record ids in matrix order
+ * @param {string} layer - Layer (shapefile) name written to the header
+ * @param {string} idVariable - Key variable name written to the header
+ * @returns {string}
+ */
+export const toGAL = (W, ids, layer, idVariable) => {
+  const lines = [`0 ${ids.length} ${layer} ${idVariable}`];
+  W.forEach((row, i) => {
+    const neighbors = ids.filter((_, j) => row[j] !== 0);
+    lines.push(`${ids[i]} ${neighbors.length}`);
+    lines.push(neighbors.join(' '));
+  });
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * GeoDa .gwt (weighted neighbour pairs) file
+ * @param {number[][]} W
+ * @param {Array<string|number>} ids - Record ids in matrix order
+ * @param {string} layer - Layer (shapefile) name written to the header
+ * @param {string} idVariable - Key variable name written to the header
+ * @returns {string}
+ */
+export const toGWT = (W, ids, layer, idVariable) => {
+  const lines = [`0 ${ids.length} ${layer} ${idVariable}`];
+  W.forEach((row, i) => {
+    row.forEach((value, j) => {
+      if (value !== 0) lines.push(`${ids[i]} ${ids[j]} ${value}`);
+    });
+  });
+  return lines.join('\n') + '\n';
+};
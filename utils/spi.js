@@ -0,0 +1,103 @@
+import { CLIMATE_VARIABLES, monthIndex } from './climateData.js';
+import { incompleteGamma, normalQuantile } from './statistics.js';
+
+/**
+ * Standardized Precipitation Index (McKee et al., 1993).
+ *
+ * Rainfall is summed over a k-month window ending in each month. For every calendar month
+ * a gamma distribution is fitted to those sums (Thom's maximum likelihood approximation),
+ * with the share of zero totals handled as a point mass, and the cumulative probability is
+ * mapped to a standard normal z value.
+ */
+
+export const SPI_SCALES = [1, 3, 6];
+
+// Minimum non-zero totals per calendar month for a gamma fit
+const MIN_FIT_SAMPLES = 5;
+
+// McKee classes, checked in order
+const SPI_CLASSES = [
+  { min: 2, category: 'Extremely Wet', drought: null },
+  { min: 1.5, category: 'Very Wet', drought: null },
+  { min: 1, category: 'Moderately Wet', drought: null },
+  { min: -1, category: 'Near Normal', drought: null },
+  { min: -1.5, category: 'Moderately Dry', drought: 'moderate' },
+  { min: -2, category: 'Severely Dry', drought: 'severe' },
+  { min: -Infinity, category: 'Extremely Dry', drought: 'extreme' }
+];
+
+/**
+ * McKee category and drought severity of an SPI value
+ * @param {number|null} spi
+ * @returns {{ category: string|null, drought: string|null }}
+ */
+export const classifySPI = (spi) => {
+  if (spi === null || !Number.isFinite(spi)) return { category: null, drought: null };
+  const { category, drought } = SPI_CLASSES.find(entry => spi >= entry.min);
+  return { category, drought };
+};
+
+// Thom (1958) estimates of the gamma shape and scale
+const fitGamma = (values) => {
+  const n = values.length;
+  const mean = values.reduce((a, b) => a + b, 0) / n;
+  const meanLog = values.reduce((sum, value) => sum + Math.log(value), 0) / n;
+  const A = Math.log(mean) - meanLog;
+  if (!(A > 0)) return null;
+
+  const shape = (1 + Math.sqrt(1 + 4 * A / 3)) / (4 * A);
+  return { shape, scale: mean / shape };
+};
+
+/**
+ * SPI series for one province at one time scale
+ * @param {Array<{ tahun: number, bulan: number, x: number[] }>} records - Records from loadClimateSeries(), in time order
+ * @param {number} scale - Window length in months
+ * @returns {Array<{ tahun: number, bulan: number, precipitation: number|null, spi: number|null, category: string|null, drought: string|null }>}
+ */
+export const computeSPI = (records, scale) => {
+  const rainfall = CLIMATE_VARIABLES.indexOf('curah_hujan');
+  const byMonth = new Map(records.map(record => [monthIndex(record.tahun, record.bulan), record.x[rainfall]]));
+
+  // Window totals; a window with a missing month has no total
+  const totals = records.map(record => {
+    const end = monthIndex(record.tahun, record.bulan);
+    let sum = 0;
+    for (let lag = 0; lag < scale; lag++) {
+      const value = byMonth.get(end - lag);
+      if (value === undefined) return null;
+      sum += value;
+    }
+    return sum;
+  });
+
+  const fits = Array.from({ length: 12 }, (_, month) => {
+    const sample = totals.filter((total, i) => total !== null && records[i].bulan === month + 1);
+    const positive = sample.filter(total => total > 0);
+    if (positive.length < MIN_FIT_SAMPLES) return null;
+
+    const gamma = fitGamma(positive);
+    return gamma ? { ...gamma, zeroProbability: (sample.length - positive.length) / sample.length } : null;
+  });
+
+  return records.map((record, i) => {
+    const total = totals[i];
+    const fit = fits[record.bulan - 1];
+    let spi = null;
+
+    if (total !== null && fit) {
+      const probability = fit.zeroProbability + (1 - fit.zeroProbability) *
+        (total > 0 ? incompleteGamma(fit.shape, total / fit.scale) : 0);
+      // Keep the tails finite
+      spi = normalQuantile(Math.min(1 - 1e-6, Math.max(1e-6, probability)));
+    }
+
+    return {
+      tahun: record.tahun,
+      bulan: record.bulan,
+      precipitation: total,
+      spi,
+      ...classifySPI(spi)
+    };
+  });
+};